@@ -15,8 +15,7 @@
                         bucketSize: 10,        // Maximum number of tokens bucket can hold
                         tokensPerInterval: 1,  // Add 1 token per interval
                         tokenInterval: 100,    // Add tokens every 100ms
-                        requestDelay: 100,     // Wait for 100ms before trying to get token for request
-                        retryDelay: 100        // Wait for 100ms before retrying failed request, which returned HTTP code 429
+                        retryInterval: 100     // Wait for 100ms before retrying failed request, which returned HTTP code 429
                     });
 
                     // Enable limiters
@@ -25,7 +24,8 @@
         </file>
     </example>  
  */
-(function(angular) {
+/* global module, require */
+(function(angular, core) {
     'use strict';
 
     // Check that angular is loaded
@@ -34,9 +34,42 @@
         return;
     }
 
+    // Check that limiter core is loaded
+    if(!core) {
+        console.error('No rate-limiter-core.js loaded');
+        return;
+    }
+
     // Define angular module and dependancies
     var ngModule = angular.module('angularRateLimiter', []);
 
+    // Services of the built-in limiting strategies
+    var STRATEGY_SERVICES = {
+        'token-bucket': 'AngularRateLimiterTokenBucket',
+        'sliding-window-log': 'AngularRateLimiterSlidingWindowLog',
+        'sliding-window-counter': 'AngularRateLimiterSlidingWindowCounter',
+        'fixed-window': 'AngularRateLimiterFixedWindow',
+        'leaky-bucket': 'AngularRateLimiterLeakyBucket'
+    };
+
+
+    /**
+     * Get class of the limiting strategy. Strategy is either built-in or 
+     * name of an Angular service returning the class.
+     * 
+     * @param {Object} $injector Angular injector
+     * @param {String} name Strategy name
+     * @return {Function} Strategy class
+     * @throws {Error} Error is thrown if there is no such strategy.
+     */
+    function getStrategy($injector, name) {
+        var serviceName = STRATEGY_SERVICES[name] || name;
+        if(!$injector.has(serviceName)) {
+            throw new Error('Unknown rate limiter strategy "' + name + '"');
+        }
+        return $injector.get(serviceName);
+    }
+
 
     /**
      * @ngdoc service
@@ -46,19 +79,14 @@
      */
     ngModule.provider('AngularRateLimiter', function($httpProvider) {
         var isInterceptorConfigured = false;
+        var isEventBroadcastEnabled = false;
+        var isObserveOnlyEnabled = false;
         var rules = [];
-        var defaultRuleConfiguration = {
-            match: '',
-            bucketSize: 20,
-            tokensPerInterval: 20,
-            tokenInterval: 1000,
-            requestDelay: 50,
-            retryInterval: 50
-        };
-
         // Set provider methods
         this.addRateLimiter = addRateLimiter;
         this.enableLimiters = enableLimiters; 
+        this.enableEventBroadcast = enableEventBroadcast;
+        this.enableObserveOnly = enableObserveOnly;
         this.$get = angularRateLimiterFactory;
 
 
@@ -67,22 +95,168 @@
          * @name angularRateLimiter.AngularRateLimiterProvider#addRateLimiter
          * @methodOf angularRateLimiter.AngularRateLimiterProvider
          * @description
-         * Add new rate limiter rule.
+         * Add new rate limiter rule. Request has to get tokens from the 
+         * buckets of all rules it matches, so rules can be combined, e.g. 
+         * global limit with a match all rule and stricter limit for one host.
+         * Retry policy is taken from the first matching rule.
          * 
          * @param {Object|Array} option Rate limiter configuration object.
+         *                  `name` identifies the rule, so it can be changed
+         *                  at runtime through AngularRateLimiter service.
          *                  `match` property defined rule to match limiter
          *                  to request. If value is `String` or `RegExp`, then
          *                  request URL is match with the value using 
-         *                  `String.match`. If `function` is given, then 
-         *                  request object is passed to function and it should
-         *                  return `Boolean` value does request match to rule.
+         *                  `String.match`. URL is the `url` of the request
+         *                  with the params, like `$http` builds it. If 
+         *                  `function` is given, then request object is 
+         *                  passed to function and it should return 
+         *                  `Boolean` value does request match to rule.
+         *                  If `Object` is given, all of its conditions must
+         *                  match; `url` as above, `method` name or array of
+         *                  names, `host` name and `path` as glob, where 
+         *                  `**` matches anything and `*` and `:param` 
+         *                  anything but slash, or as `RegExp`, `headers` 
+         *                  and `params` objects of predicates, where 
+         *                  predicate is `true` if value must be given, 
+         *                  `false` if not, a value to equal, `RegExp` or 
+         *                  `function` getting the value. `any` and `all` 
+         *                  combine arrays of matchers and `not` negates a
+         *                  matcher.
+         *                  `literal` matches strings of `match` and `url`
+         *                  as literal text instead of regular expression, 
+         *                  so '.' matches only a dot.
+         *                  `rate` configures the rate as string like 
+         *                  '100/minute' or '5/10s', or as object like 
+         *                  `{ limit: 10, per: '5s', burst: 20 }`. It sets 
+         *                  `tokensPerInterval` and `tokenInterval`, and 
+         *                  `bucketSize` to the burst, which defaults to the 
+         *                  limit, unless `bucketSize` is given too.
          *                  `bucketSize` configures how many tokens bucket 
-         *                  holds, default is 100.
+         *                  holds, default is 20.
          *                  `tokensPerInterval` configures how many tokens will
          *                  be added to bucket per interval
          *                  `tokenInterval` configures interval how often 
-         *                  `tokensPerInterval` value will be added to bucket.
-         * @throws {Error}   Error is thrown if rule cannot be added.
+         *                  `tokensPerInterval` value will be added to bucket,
+         *                  in milliseconds or as duration like '10s' or 
+         *                  'minute'.
+         *                  `cost` configures how many tokens a request 
+         *                  consumes. If `function` is given, then request 
+         *                  object is passed to function and it should return
+         *                  the number of tokens. Request can override the 
+         *                  cost with `rateLimit.cost` configuration.
+         *                  `strategy` configures the limiting algorithm;
+         *                  'token-bucket' (default), 'sliding-window-log',
+         *                  'sliding-window-counter', 'fixed-window', 
+         *                  'leaky-bucket' or name of a service returning 
+         *                  a strategy class. Window strategies allow 
+         *                  `bucketSize` tokens in the time it takes to drip
+         *                  a full bucket.
+         *                  `maxConcurrent` limits how many requests 
+         *                  matching the rule can be in flight at once. 
+         *                  Requests wait in the same queue as for tokens.
+         *                  `key` splits the rule to a bucket per key. If 
+         *                  `function` is given, then request object is 
+         *                  passed to function and it should return the key.
+         *                  If `String` is given, it is a path template 
+         *                  like '/api/projects/:id/*', and the key is made 
+         *                  of the `:param` parts of the request path. `*` 
+         *                  matches the rest of the path.
+         *                  Requests without a key share one bucket. Buckets
+         *                  are created when needed and dropped when they 
+         *                  are full again. `maxKeys` caps the number of 
+         *                  buckets by dropping the least recently used.
+         *                  `dedupe` merges identical GET requests without
+         *                  body, `timeout` or `cache`, while the first one
+         *                  is waiting or in flight. Merged requests share 
+         *                  its token, `$http` call and raw response, which
+         *                  each of them gets through its own interceptors
+         *                  and transforms. If `function` is given, then request 
+         *                  object is passed to function and it should 
+         *                  return identity string of the request, or 
+         *                  undefined to not merge it. By default method, 
+         *                  URL, params and headers must be equal. Option 
+         *                  is taken from the first matching rule.
+         *                  `adaptive` adjusts the rate to the server 
+         *                  feedback. Rate is multiplied by `rateDecrease`
+         *                  (default 0.5) on each 429 or 503 response, and 
+         *                  raised by `rateIncrease` tokens (default 1) 
+         *                  after `rateIncreaseAfter` successful responses 
+         *                  in a row (default 10). Rate stays between 
+         *                  `minTokensPerInterval` (default a tenth of 
+         *                  `tokensPerInterval`) and `maxTokensPerInterval`
+         *                  (default `tokensPerInterval`). Updating the 
+         *                  rule starts again from `tokensPerInterval`.
+         *                  `syncRemaining` removes tokens from the bucket,
+         *                  so it does not hold more than the server tells 
+         *                  to be remaining in `X-RateLimit-Remaining` or 
+         *                  `RateLimit-Remaining` response header.
+         *                  `skipDigest` disables `$rootScope` digest on timer
+         *                  ticks while requests wait for tokens.
+         *                  `shared` shares the bucket with other browser 
+         *                  tabs of the same origin, so the rate is not 
+         *                  multiplied by the number of open tabs. Shared 
+         *                  rule needs a `name`. Local bucket is used if the
+         *                  browser does not support `localStorage`.
+         *                  `persist` saves the bucket state, so reloading 
+         *                  the page does not fill the bucket. Value is 
+         *                  'sessionStorage', 'localStorage' or an object 
+         *                  with `get(key)` and `set(key, value)` methods, 
+         *                  and `remove(key)` to remove state of dropped 
+         *                  key buckets. Persisted rule needs a `name`.
+         *                  `quotas` lists long term limits, which must all 
+         *                  be satisfied in addition to the rate, as rate 
+         *                  strings like '5000/day' or objects like 
+         *                  `{ limit: 5000, per: 'day', name: 'daily' }`. 
+         *                  Quotas count tokens in fixed windows starting 
+         *                  at multiples of the window length, so daily 
+         *                  quota resets at midnight UTC. Request is 
+         *                  rejected at once with 'quota' reason, instead of
+         *                  waiting, if a quota does not have the tokens.
+         *                  Quota can be saved with `persist`, with same 
+         *                  values as the rule's `persist`, which is the 
+         *                  default.
+         *                  `circuitBreaker` stops sending requests to an 
+         *                  overloaded server. `true` uses the defaults, or
+         *                  object can set them. Circuit opens after 
+         *                  `failures` (default 5) responses with one of 
+         *                  `statuses` (default 429, 500, 502, 503 and 504)
+         *                  within `window` (default '10s'). While open, 
+         *                  matching requests are rejected at once with 
+         *                  'circuitOpen' reason. After `cooldown` (default 
+         *                  '30s') circuit is half-open and lets `probes` 
+         *                  requests through (default 1). Circuit closes 
+         *                  when they all succeed, and opens again if one 
+         *                  fails.
+         *                  `maxQueueLength` limits how many requests can wait
+         *                  for tokens. `queueOverflow` configures what is 
+         *                  done to a request which does not fit to the queue;
+         *                  'reject' rejects it, 'dropOldest' rejects the 
+         *                  oldest queued request instead and 'bypass' sends 
+         *                  the request without limiting.
+         *                  `maxWait` limits how many milliseconds a request 
+         *                  can wait in the queue. `waitOverflow` configures 
+         *                  what is done to a request which is estimated to 
+         *                  wait longer, with same options as `queueOverflow`.
+         *                  Request still waiting when `maxWait` passes, e.g.
+         *                  behind a pause or requests in flight, is sent 
+         *                  with 'bypass' and rejected otherwise.
+         *                  `retryInterval` configures milliseconds to wait 
+         *                  before retrying failed request, negative value 
+         *                  disables retrying.
+         *                  `maxRetries` configures how many times failed 
+         *                  request is retried, default is 3.
+         *                  `backoff` configures how retry interval grows on
+         *                  each retry; 'fixed', 'linear' or 'exponential'.
+         *                  `maxRetryInterval` caps the retry interval.
+         *                  `jitter` randomizes the retry interval; 'none',
+         *                  'full' or 'equal'.
+         *                  `retryStatuses` lists HTTP status codes to retry,
+         *                  default is 429.
+         *                  `retryIdempotentStatuses` lists HTTP status codes
+         *                  to retry only for idempotent methods, e.g. 502.
+         * @throws {Error}   Error is thrown if rule cannot be added. Options
+         *                  are validated strictly; unknown options, wrong 
+         *                  types and negative numbers are errors.
          */
         function addRateLimiter(option) {
             // If option is given as array of options, then add them one by one
@@ -95,32 +269,38 @@
                 return;
             }
 
-            var rule = angular.assign(defaultRuleConfiguration, option);
+            pushRule(core.createRule(option));
+        }
 
-            if(!rule.match) {
-                if(rules.length) {
-                    throw new Error('Cannot add rate limiter that matches to all requests, when other rules are defined');
-                }
 
-                // Use debug console, if configuring match all rule.
-                if(console && console.debug) {
-                    console.debug('Adding match all rule');
-                }
+        /**
+         * Add rule to the configured rules.
+         * 
+         * @param {Object} rule Rule configuration
+         * @throws {Error}   Error is thrown if rule with same name exists.
+         */
+        function pushRule(rule) {
+            if(rule.name !== undefined && findRuleIndex(rule.name) !== -1) {
+                throw new Error('Rate limiter rule "' + rule.name + '" already exists');
             }
 
-            if(!rule.bucketSize) {
-                throw new Error('No bucketSize configured for rate limiter');
-            }
+            rules.push(rule);
+        }
 
-            if(rule.tokensPerInterval && isNaN(rule.tokensPerInterval)) {
-                throw new Error('Invalid tokensPerInterval value');
-            }
 
-            if(rule.tokenInterval && isNaN(rule.tokenInterval)) {
-                throw new Error('Invalid tokensPerInterval value');
+        /**
+         * Find index of the named rule.
+         * 
+         * @param {String} name Rule name
+         * @return {Number} Index of the rule, -1 if not found.
+         */
+        function findRuleIndex(name) {
+            for(var i = 0; i < rules.length; i++) {
+                if(rules[i].name === name) {
+                    return i;
+                }
             }
-
-            rules.push(rule);
+            return -1;
         }
 
 
@@ -142,24 +322,437 @@
         }
 
 
+        /**
+         * @ngdoc method
+         * @name angularRateLimiter.AngularRateLimiterProvider#enableEventBroadcast
+         * @methodOf angularRateLimiter.AngularRateLimiterProvider
+         * @description
+         * Broadcast limiter events from `$rootScope` in addition to calling 
+         * listeners added with `AngularRateLimiter.on`. Event names are 
+         * prefixed with 'angularRateLimiter:', e.g. 'angularRateLimiter:throttled'.
+         */
+        function enableEventBroadcast() {
+            isEventBroadcastEnabled = true;
+        }
+
+
+        /**
+         * @ngdoc method
+         * @name angularRateLimiter.AngularRateLimiterProvider#enableObserveOnly
+         * @methodOf angularRateLimiter.AngularRateLimiterProvider
+         * @description
+         * Evaluate rules without limiting anything, to roll out new limits
+         * safely. Requests which would be queued, rejected or merged are
+         * logged with `$log.info` and sent at once. Failed responses are
+         * retried as without the mode, so enabling it does not change the
+         * retries. Buckets count the requests which get tokens, so later 
+         * requests are evaluated against the traffic. Mode can be changed 
+         * at runtime with `AngularRateLimiter.observeOnly`.
+         */
+        function enableObserveOnly() {
+            isObserveOnlyEnabled = true;
+        }
+
+
         /**
          * @ngdoc service
          * @name angularRateLimiter.AngularRateLimiter
          * @description
-         * Factory function to return AngularRateLimiter congifuration.
+         * Factory function to return AngularRateLimiter congifuration and 
+         * methods to change it at runtime. Requests waiting for tokens are
+         * matched to the changed rules again.
          * 
          * @property rules {Array} 
-         * Array of limiter rules. Each rule contains two properties; matcher and bucket.
-         * @property requestDelay {Number} 
-         * Number of milliseconds to delay request until trying to get token again.
+         * Array of configured rules, used by the interceptor. Use `getRules` 
+         * to read them.
          * @property retryInterval {Number|undefined}
-         * Number of milliseconds to delay retry request. If not positive number or is NaN
+         * Number of milliseconds to delay retry request. If negative number or is NaN
          * retry is disabled.
+         * @property broadcastEvents {Boolean}
+         * Are limiter events broadcasted from `$rootScope`.
+         * @property observeOnly {Boolean}
+         * Are rules only evaluated and logged instead of limiting requests.
          */
-        function angularRateLimiterFactory() {
+        function angularRateLimiterFactory($injector) {
             return {
-                rules: rules
+                rules: rules,
+                broadcastEvents: isEventBroadcastEnabled,
+                observeOnly: isObserveOnlyEnabled,
+                getRules: getRules,
+                addRule: addRule,
+                updateRule: updateRule,
+                removeRule: removeRule,
+                pause: pause,
+                resume: resume,
+                reset: reset,
+                on: on,
+                getStats: getStats,
+                getRate: getRate,
+                getCircuitState: getCircuitState,
+                explain: explain,
+                wrap: wrap,
+                fetch: fetch,
+                createXHR: createXHR
             };
+
+
+            // Interceptor holds the limiters. It is get lazily, because it 
+            // depends on this service.
+            function getInterceptor() {
+                return $injector.get('AngularRateLimiterInterceptor');
+            }
+
+
+            // Strategy service can be checked only at run time
+            function validateStrategy(rule) {
+                try {
+                    getStrategy($injector, rule.strategy);
+                }
+                catch(error) {
+                    throw core.getRuleError(rule, error);
+                }
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#getRules
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Get configured rules with defaults filled in and `rate` 
+             * converted to `tokensPerInterval`, `tokenInterval` and 
+             * `bucketSize`. Changing the returned objects does not change 
+             * the rules; use `updateRule` for that.
+             * 
+             * @return {Array} Rule configurations
+             */
+            function getRules() {
+                return rules.map(core.copyRule);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#addRule
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Add new rate limiter rule. See 
+             * {@link angularRateLimiter.AngularRateLimiterProvider#addRateLimiter addRateLimiter}
+             * for the options.
+             * 
+             * @param {Object} option Rate limiter configuration object.
+             * @throws {Error}   Error is thrown if rule cannot be added.
+             */
+            function addRule(option) {
+                var interceptor = getInterceptor();
+                var rule = core.createRule(option);
+                validateStrategy(rule);
+                pushRule(rule);
+                interceptor.addLimiter(rule);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#updateRule
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Change options of the named rule. Tokens in the bucket are kept.
+             * 
+             * @param {String} name Rule name
+             * @param {Object} option Options to change
+             * @throws {Error}   Error is thrown if rule is not found or 
+             *                  options are not valid.
+             */
+            function updateRule(name, option) {
+                var interceptor = getInterceptor();
+                var index = getRuleIndex(name);
+                var rule = core.createRule(angular.extend({}, option, { name: name }), rules[index]);
+                validateStrategy(rule);
+                rules[index] = rule;
+                interceptor.updateLimiter(name, rule);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#removeRule
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Remove the named rule.
+             * 
+             * @param {String} name Rule name
+             * @throws {Error}   Error is thrown if rule is not found.
+             */
+            function removeRule(name) {
+                var interceptor = getInterceptor();
+                rules.splice(getRuleIndex(name), 1);
+                interceptor.removeLimiter(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#pause
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Hold requests matching the named rule, or any rule if name is 
+             * not given, until `resume` is called.
+             * 
+             * @param {String} [name] Rule name
+             */
+            function pause(name) {
+                getInterceptor().pause(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#resume
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Resume requests held by `pause`. Without name all rules are 
+             * resumed.
+             * 
+             * @param {String} [name] Rule name
+             */
+            function resume(name) {
+                getInterceptor().resume(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#reset
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Fill the bucket and quotas and close the circuit of the named
+             * rule, or of all rules if name is not given.
+             * 
+             * @param {String} [name] Rule name
+             */
+            function reset(name) {
+                getInterceptor().reset(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#on
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Add listener for limiter events. Event object has `type`, 
+             * `rules` (names of the matching rules) and `request` properties.
+             * 
+             * - 'throttled' when request has to wait for tokens.
+             * - 'released' when waiting request is sent, `waitTime` tells 
+             *   how many milliseconds it waited.
+             * - 'retried' when failed request is retried, `attempt` tells 
+             *   the number of the retry and `delay` the wait before it.
+             * - 'dropped' when request is rejected or cancelled, `reason` is 
+             *   'abort', 'timeout', 'cost', 'maxQueueLength', 'maxWait', 
+             *   'quota', 'circuitOpen' or 'retries'.
+             * - 'bucketEmpty' when rule's bucket runs out of tokens.
+             * - 'quotaExhausted' when a quota of the rule runs out of 
+             *   tokens or rejects a request costing more than it has left,
+             *   `quota` tells its name and `resetTime` when the tokens are
+             *   available again.
+             * - 'rateChanged' when rate of an `adaptive` rule changes, 
+             *   `tokensPerInterval` tells the new rate.
+             * - 'circuitStateChanged' when circuit breaker of the rule 
+             *   changes `state` from `previousState`; 'closed', 'open' or
+             *   'half-open'. `openUntil` tells when open circuit becomes 
+             *   half-open.
+             * 
+             * @param {String} type Event type
+             * @param {Function} listener Function which gets the event object
+             * @return {Function} Function to remove the listener
+             */
+            function on(type, listener) {
+                return getInterceptor().on(type, listener);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#getStats
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Get statistics snapshot of the named rule, or array of 
+             * snapshots of all rules if name is not given. Snapshot has 
+             * `name`, `queueLength`, `tokensAvailable`, `totalDelayed`, 
+             * `waitTimeP50`, `waitTimeP95`, `tooManyRequests` and `quotas` 
+             * properties. Each quota has `name`, `remaining` and `resetTime`.
+             * Wait time percentiles are calculated from the latest 100 
+             * delayed requests.
+             * 
+             * @param {String} [name] Rule name
+             * @return {Object|Array} Statistics
+             */
+            function getStats(name) {
+                return getInterceptor().getStats(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#getRate
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Get current rate of the named rule as tokens per 
+             * `tokenInterval`. Rate of an `adaptive` rule changes with 
+             * the server feedback, others use `tokensPerInterval`.
+             * 
+             * @param {String} name Rule name
+             * @return {Number} Tokens per interval
+             * @throws {Error}   Error is thrown if rule is not found.
+             */
+            function getRate(name) {
+                return getInterceptor().getRate(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#getCircuitState
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Get state of the named rule's circuit breaker; 'closed', 
+             * 'open' or 'half-open'. Rule without `circuitBreaker` is 
+             * always closed. Listen 'circuitStateChanged' event to follow 
+             * the changes, e.g. to show that the service is degraded.
+             * 
+             * @param {String} name Rule name
+             * @return {String} Circuit state
+             * @throws {Error}   Error is thrown if rule is not found.
+             */
+            function getCircuitState(name) {
+                return getInterceptor().getCircuitState(name);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#explain
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Tell how the limiter would handle the request now, without 
+             * consuming tokens or changing anything. Explanation has 
+             * `action`; 'send', 'queue', 'reject', 'bypass' or 'merge', 
+             * `reason` and error `message` of rejected or bypassed request,
+             * estimated `waitTime` in milliseconds, `rules` with `name`, 
+             * `cost`, `key`, `tokensAvailable`, `waitTime`, `queueLength`, 
+             * `inFlight`, `paused`, `circuitState` and `quotas` of each 
+             * matching rule, and `retry` policy with `rule`, `maxRetries` 
+             * and `statuses`, or null if failed request is not retried.
+             * 
+             * @param {Object} requestConfig Configuration object as for `$http`
+             * @return {Object} Explanation
+             */
+            function explain(requestConfig) {
+                return getInterceptor().explainRequest(requestConfig);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#wrap
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Rate limit calls outside of `$http`, e.g. WebSocket sends. 
+             * Returned function takes tokens from the buckets of the named 
+             * rules and waits in their queues like requests, so the calls 
+             * and requests share the limits, events and statistics. It 
+             * returns promise for the return value of the function. Rule 
+             * with `maxConcurrent` holds a slot until the promise returned 
+             * by the function is settled.
+             * 
+             * @param {Function} fn Function to limit
+             * @param {String|Object} option Rule name, or object with 
+             *                  `rule` name or array of names, `cost` number 
+             *                  or function getting the call arguments and 
+             *                  `timeout` milliseconds or promise to cancel 
+             *                  waiting calls. Key function of the rule gets 
+             *                  object with `args` of the call.
+             * @return {Function} Rate limited function
+             * @throws {Error}   Error is thrown if rule is not given or 
+             *                  found.
+             */
+            function wrap(fn, option) {
+                var options = angular.isString(option) ? { rule: option } : angular.extend({}, option);
+                var names = options.rule === undefined || options.rule === null ? [] : [].concat(options.rule);
+                if(!angular.isFunction(fn)) {
+                    throw new Error('No function given to rate limit');
+                }
+                // Unnamed rules cannot be given, so a missing name must not find one
+                if(!names.length || !names.every(isRuleName)) {
+                    throw new Error('No rate limiter rule given');
+                }
+                angular.forEach(names, getRuleIndex);
+
+                return function() {
+                    var args = Array.prototype.slice.call(arguments);
+                    return getInterceptor().limitCall(fn, this, args, names, options);
+                };
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#fetch
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Rate limited `fetch` for code outside of AngularJS. Requests 
+             * are matched to the rules like `$http` requests, and they share
+             * the buckets, queues, events and statistics. Request options 
+             * are given in `init.rateLimit`, and `init.signal` cancels 
+             * waiting request. Responses with retryable status are retried;
+             * other failed responses resolve the promise like with `fetch`. 
+             * Requests are not merged with `dedupe`.
+             * 
+             * @param {String|Object} input URL or `Request`
+             * @param {Object} [init] Options of `fetch`
+             * @return {Promise} Promise for the `Response`
+             */
+            function fetch(input, init) {
+                return getInterceptor().limitFetch(input, init);
+            }
+
+
+            /**
+             * @ngdoc method
+             * @name angularRateLimiter.AngularRateLimiter#createXHR
+             * @methodOf angularRateLimiter.AngularRateLimiter
+             * @description
+             * Create rate limited `XMLHttpRequest` for code outside of 
+             * AngularJS. `send` waits for tokens of the rules matching the 
+             * method, URL and headers given to `open` and 
+             * `setRequestHeader`. Request options are set to `rateLimit` 
+             * property before `send`. Request rejected by the limiter gets 
+             * `rateLimitError` property and 'error' event without being 
+             * sent. Failed responses are not retried.
+             * 
+             * @return {Object} XMLHttpRequest
+             */
+            function createXHR() {
+                return getInterceptor().createXHR();
+            }
+
+
+            // Get index of the named rule or throw error
+            function getRuleIndex(name) {
+                var index = findRuleIndex(name);
+                if(index === -1) {
+                    throw new Error('No rate limiter rule named "' + name + '"');
+                }
+                return index;
+            }
+
+
+            // Check that the value can name a rule
+            function isRuleName(name) {
+                return angular.isString(name) && name !== '';
+            }
         }
     });
 
@@ -169,6 +762,8 @@
      * @name angularRateLimiter.AngularRateLimiterTokenBucket
      * @description 
      * Service to get AngularRateLimiterTokenBucket class to create new token buckets.
+     * To throttle clicks, use {@link angularRateLimiter.directive:rateLimitClick rateLimitClick}
+     * directive instead.
      * 
      * @example
         <example module="angularRateLimiter">
@@ -202,109 +797,153 @@
         </example>   
      */
     ngModule.factory('AngularRateLimiterTokenBucket', function() {
-        /**
-         * @licence MIT
-         *  Copyright (C) 2011 by John Hurliman
-         * 
-         *  Permission is hereby granted, free of charge, to any person obtaining a copy
-         *  of this software and associated documentation files (the "Software"), to deal
-         *  in the Software without restriction, including without limitation the rights
-         *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
-         *  copies of the Software, and to permit persons to whom the Software is
-         *  furnished to do so, subject to the following conditions:
-         * 
-         *  The above copyright notice and this permission notice shall be included in
-         *  all copies or substantial portions of the Software.
-         * 
-         *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
-         *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
-         *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
-         *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
-         *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
-         *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
-         *  THE SOFTWARE.
-         */
-
+        return core.TokenBucket;
+    });
 
-        /**
-         * A hierarchical token bucket for rate limiting. See
-         * http://en.wikipedia.org/wiki/Token_bucket for more information.
-         * @author John Hurliman <jhurliman@cull.tv>
-         *
-         * @param {Number} bucketSize Maximum number of tokens to hold in the bucket.
-         *  Also known as the burst rate.
-         * @param {Number} tokensPerInterval Number of tokens to drip into the bucket
-         *  over the course of one interval.
-         * @param {String|Number} interval The interval length in milliseconds, or as
-         *  one of the following strings: 'second', 'minute', 'hour', day'.
-         */
-        function TokenBucket(bucketSize, tokensPerInterval, interval) {
-            this.bucketSize = bucketSize;
-            this.tokensPerInterval = tokensPerInterval;
-            this.interval = interval;
-            this.content = bucketSize;
-            this.lastDrip = +new Date();
-        }
 
-        TokenBucket.prototype = {
-            bucketSize: 1,
-            tokensPerInterval: 1,
-            interval: 1000,
-            content: 0,
-            lastDrip: 0,
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterSlidingWindowLog
+     * @description 
+     * Service to get sliding window log class. It logs the time of each 
+     * removal and allows at most `bucketSize` tokens in any window, which 
+     * is the time it takes to drip a full bucket. Unlike token bucket, it 
+     * never allows more than that within a rolling window.
+     * 
+     * Limiting strategies extend AngularRateLimiterTokenBucket and have 
+     * the same constructor arguments and methods; `tryRemoveTokens`, 
+     * `getWaitTime`, `drip`, `drain`, `fill` and `addTokens`. `content` 
+     * tells how many tokens are available after `drip`.
+     */
+    ngModule.factory('AngularRateLimiterSlidingWindowLog', function() {
+        return core.SlidingWindowLog;
+    });
 
-            /**
-             * Attempt to remove the requested number of tokens and return immediately.
-             * If the bucket (and any parent buckets) contains enough tokens this will
-             * return true, otherwise false is returned.
-             * @param {Number} count The number of tokens to remove.
-             * @param {Boolean} True if the tokens were successfully removed, otherwise
-             *  false.
-             */
-            tryRemoveTokens: function tryRemoveTokens(count) {
-                // Is this an infinite size bucket?
-                if (!this.bucketSize) {
-                    return true;
-                }
 
-                // Make sure the bucket can hold the requested number of tokens
-                if (count > this.bucketSize) {
-                    return false;
-                }
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterSlidingWindowCounter
+     * @description 
+     * Service to get sliding window counter class. It counts tokens in 
+     * fixed windows and approximates the rolling window by weighting the 
+     * previous window's count with the part of it still inside the 
+     * rolling window. Window is the time it takes to drip a full bucket.
+     * Uses constant memory unlike the sliding window log.
+     */
+    ngModule.factory('AngularRateLimiterSlidingWindowCounter', function() {
+        return core.SlidingWindowCounter;
+    });
 
-                // Drip new tokens into this bucket
-                this.drip();
 
-                // If we don't have enough tokens in this bucket, return false
-                if (count > this.content) {
-                    return false;
-                }
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterFixedWindow
+     * @description 
+     * Service to get fixed window class. It allows `bucketSize` tokens in 
+     * each window, which is the time it takes to drip a full bucket. 
+     * Windows start at multiples of the window length, so up to two full 
+     * windows of tokens can be used around a window boundary.
+     */
+    ngModule.factory('AngularRateLimiterFixedWindow', function() {
+        return core.FixedWindow;
+    });
 
-                // Remove the requested tokens from this bucket and return
-                this.content -= count;
-                return true;
-            },
 
-            /**
-             * Add any new tokens to the bucket since the last drip.
-             * @returns {Boolean} True if new tokens were added, otherwise false.
-             */
-            drip: function drip() {
-                if (!this.tokensPerInterval) {
-                    this.content = this.bucketSize;
-                    return;
-                }
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterLeakyBucket
+     * @description 
+     * Service to get leaky bucket class. It spaces removals evenly with 
+     * the drip rate and allows no bursts; after removing tokens the next 
+     * removal has to wait until those tokens would have dripped. 
+     * `bucketSize` only limits how many tokens can be removed at once.
+     */
+    ngModule.factory('AngularRateLimiterLeakyBucket', function() {
+        return core.LeakyBucket;
+    });
 
-                var now = +new Date();
-                var deltaMS = Math.max(now - this.lastDrip, 0);
-                this.lastDrip = now;
 
-                var dripAmount = deltaMS * (this.tokensPerInterval / this.interval);
-                this.content = Math.min(this.content + dripAmount, this.bucketSize);
-            }
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterStorage
+     * @description 
+     * Service to get function, which creates storage for bucket state. 
+     * Storage is an object with `get(key)`, `set(key, value)` and 
+     * `remove(key)` methods. Web storage values are stored as JSON.
+     */
+    ngModule.factory('AngularRateLimiterStorage', function($window) {
+        return function(option) {
+            return core.createStorage(option, $window);
         };
+    });
+
+
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterTabSync
+     * @description 
+     * Service to coordinate shared token buckets between browser tabs of 
+     * the same origin. `storage` holds the bucket state in `localStorage` 
+     * and `channel` notifies other tabs through `BroadcastChannel`, or 
+     * through `localStorage` events if `BroadcastChannel` is not 
+     * supported. Either one is null if the browser does not support it.
+     * Decorate or replace the service to use other storage or channel, 
+     * e.g. in-memory stand-ins in tests.
+     * 
+     * @property storage {Object|null}
+     * Object with `get(key)`, `set(key, value)` and `remove(key)` methods.
+     * Values are stored as JSON.
+     * @property channel {Object|null}
+     * Object with `postMessage(message)` and `onMessage(listener)` methods.
+     * Messages are delivered only to other tabs.
+     */
+    ngModule.factory('AngularRateLimiterTabSync', function($window) {
+        return core.createTabSync($window);
+    });
+
+
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterPersistentTokenBucket
+     * @description 
+     * Service to get token bucket class, which saves its state to a 
+     * storage and restores it when created, so reloading the page does 
+     * not fill the bucket. Tokens dripped while the page was closed are 
+     * added on next drip.
+     */
+    ngModule.factory('AngularRateLimiterPersistentTokenBucket', function() {
+        return core.PersistentTokenBucket;
+    });
+
+
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterQuota
+     * @description 
+     * Service to get quota class, which counts tokens used in fixed 
+     * windows, e.g. a day. Windows start at multiples of the window 
+     * length, so daily quota resets at midnight UTC. Unlike buckets, quota
+     * does not drip; used up quota stays so until the window ends. State 
+     * of the current window can be saved to a storage.
+     */
+    ngModule.factory('AngularRateLimiterQuota', function() {
+        return core.Quota;
+    });
+
 
-        return TokenBucket;
+    /**
+     * @ngdoc service
+     * @name angularRateLimiter.AngularRateLimiterSharedTokenBucket
+     * @description 
+     * Service to get token bucket class, which shares its tokens with the 
+     * buckets of same name in other browser tabs. Bucket state is read 
+     * from the storage before each use, and removing tokens is guarded 
+     * with a lock, so two tabs cannot spend the same token. When the 
+     * lock is held by another tab, removing tokens fails and the wait 
+     * time covers the lock timeout.
+     */
+    ngModule.factory('AngularRateLimiterSharedTokenBucket', function() {
+        return core.SharedTokenBucket;
     });
 
 
@@ -315,132 +954,515 @@
      * AngularRateLimiterInterceptor service which will be added to $http service by AngularRateLimiter.
      * Do not use directly.
      */
-    ngModule.factory('AngularRateLimiterInterceptor', function(AngularRateLimiter, AngularRateLimiterTokenBucket, $q, $interval, $timeout, $http) {
-        // Create token buckets for each configured rule
-        var limiters = [];
-        angular.forEach(AngularRateLimiter.rules, function(rule) {
-            limiters.push({
-                matcher: rule.match,
-                bucket: new AngularRateLimiterTokenBucket(rule.bucketSize, rule.tokensPerInterval, rule.tokenInterval),
-                retryInterval: rule.retryInterval,
-                requestDelay: rule.requestDelay
-            });
-        });
+    ngModule.factory('AngularRateLimiterInterceptor', function(AngularRateLimiter, AngularRateLimiterStorage, $q, $timeout, $injector, $rootScope, $exceptionHandler, $window, $log) {
+        // Waiting and in flight requests which others can join, by identity
+        var duplicates = Object.create(null);
 
+        // Limiter core with Angular promises, timers and services
+        var limiter = core.createRateLimiter(AngularRateLimiter, {
+            q: $q,
+            setTimer: $timeout,
+            cancelTimer: $timeout.cancel,
+            window: $window,
+            handleError: $exceptionHandler,
+            log: function(message) {
+                $log.info(message);
+            },
+            apply: function(fn) {
+                $rootScope.$evalAsync(fn);
+            },
+            broadcast: function(type, event) {
+                if(AngularRateLimiter.broadcastEvents) {
+                    $rootScope.$broadcast('angularRateLimiter:' + type, event);
+                }
+            },
+            getStrategy: function(name) {
+                return getStrategy($injector, name);
+            },
+            createStorage: AngularRateLimiterStorage,
+            getTabSync: function() {
+                return $injector.get('AngularRateLimiterTabSync');
+            },
+            serializeParams: function(params, request) {
+                var serializer = request.paramSerializer;
+                if(!angular.isFunction(serializer)) {
+                    serializer = $injector.get(serializer || '$httpParamSerializer');
+                }
+                return serializer(params);
+            },
+            isMerged: function(request) {
+                var identity = getDuplicateIdentity(request);
+                return identity !== undefined && !!duplicates[identity];
+            },
+            onSettled: settleDuplicates
+        });
 
-        var interceptorConfig = {};
-        // Add rate limit request handler, if we have configured rules
-        if(limiters.length) {
-            interceptorConfig.request = rateLimitRequests;
-            interceptorConfig.responseError = retryTooManyRequest;
-        }
+        // Runtime management used by AngularRateLimiter service
+        var interceptorConfig = {
+            addLimiter: addLimiter,
+            updateLimiter: limiter.updateLimiter,
+            removeLimiter: removeLimiter,
+            pause: limiter.pause,
+            resume: limiter.resume,
+            reset: limiter.reset,
+            on: limiter.on,
+            getStats: limiter.getStats,
+            getRate: limiter.getRate,
+            getCircuitState: limiter.getCircuitState,
+            explainRequest: limiter.explainRequest,
+            getRuleBucket: limiter.getRuleBucket,
+            limitCall: limiter.limitCall,
+            limitFetch: limiter.limitFetch,
+            createXHR: limiter.createXHR
+        };
+        updateHandlers();
 
         // Return interceptor configuration
         return interceptorConfig;
 
 
+        /**
+         * Add rate limit request handlers, if we have configured rules. 
+         * $http reads handlers on each request, so they can be changed at 
+         * runtime.
+         */
+        function updateHandlers() {
+            if(limiter.hasLimiters()) {
+                interceptorConfig.request = rateLimitRequests;
+                interceptorConfig.response = handleResponse;
+                interceptorConfig.responseError = retryTooManyRequest;
+            }
+            else {
+                delete interceptorConfig.request;
+                delete interceptorConfig.response;
+                delete interceptorConfig.responseError;
+            }
+        }
+
+
+        /**
+         * Add limiter for a new rule.
+         * 
+         * @param {Object} rule Rule configuration
+         */
+        function addLimiter(rule) {
+            limiter.addLimiter(rule);
+            updateHandlers();
+        }
+
 
         /**
-         * Interceptor request handler function for rate limiting.
+         * Remove the named limiter. Requests waiting only for it are released.
+         * 
+         * @param {String} name Rule name
+         */
+        function removeLimiter(name) {
+            limiter.removeLimiter(name);
+            updateHandlers();
+        }
+
+
+        /**
+         * Interceptor request handler function for rate limiting. Request 
+         * identical to a waiting or in flight one is merged to it, if the 
+         * rule has `dedupe`. Request's `rateLimit` configuration can 
+         * `bypass` all or the named rules, name the `rule` to use and set 
+         * its `priority`, `cost` and `maxWait`.
          * 
          * @param {Object} request Angular $http request object
          */
         function rateLimitRequests(request) {
-            var rule = getMatchingRule(request);
-            // If no matching limter is found proceed with normal flow 
-            if(!rule) {
-                return request;
+            // Retry of a merged request keeps its duplicates. Requests are 
+            // not merged when only observing.
+            if(!request.$$rateLimitDuplicates && !AngularRateLimiter.observeOnly) {
+                var identity = getDuplicateIdentity(request);
+                if(identity === undefined) {
+                    return limiter.limitRequest(request);
+                }
+                if(duplicates[identity]) {
+                    return joinDuplicate(request, duplicates[identity]);
+                }
+                request.$$rateLimitDuplicates = duplicates[identity] = createDuplicates(identity);
+                request.cache = request.$$rateLimitDuplicates.primaryCache;
             }
 
-            // Try to get token, if removed succesfully proceed with request
-            if(rule.bucket.tryRemoveTokens(1)) {
-                return request;
-            }
+            // Duplicates share the rejection, if the request is dropped
+            var result = limiter.limitRequest(request);
+            $q.when(result).catch(function(error) {
+                settleDuplicates(request, error, true);
+            });
+            return result;
+        }
 
-            // Failed to get token, so delay request and return promise for $http
-            return delayRequest(request, rule);
+
+        /**
+         * Create entry for the duplicates of a request. Response is shared
+         * through `$http` cache: cache of the merged request records the 
+         * promise for its raw response, and cache of the duplicates serves
+         * it, so each of them is transformed and intercepted as a response
+         * of its own.
+         * 
+         * @param {String} identity Identity of the request
+         * @return {Object} Entry
+         */
+        function createDuplicates(identity) {
+            var entry = {
+                identity: identity,
+                joined: 0,
+                sent: $q.defer(),
+                response: $q.defer(),
+                raw: undefined
+            };
+
+            entry.primaryCache = {
+                get: angular.noop,
+                put: function(url, value) {
+                    // Promise is put when sent and the response when received
+                    if(value && angular.isFunction(value.then)) {
+                        entry.raw = value;
+                        entry.sent.resolve();
+                    }
+                },
+                remove: angular.noop
+            };
+            entry.sharedCache = {
+                get: function() {
+                    return entry.response.promise;
+                },
+                put: angular.noop,
+                remove: angular.noop
+            };
+            return entry;
         }
 
 
         /**
-         * Find matching rate limiter rule.
+         * Join the request to the identical one. Request waits until the 
+         * merged request is sent and then gets its response from the cache.
          * 
-         * @param {Object }request HTTP request object
-         * @return {undefined|Object} Return matching rule
+         * @param {Object} request Angular $http request object
+         * @param {Object} entry Duplicates of the merged request
+         * @return {Promise} Promise for the request
          */
-        function getMatchingRule(request) {
-            for(var i in limiters) {
-                // If matching limiter found, then return the bucket
-                if(matchesToRequest(limiters[i].matcher, request)) {
-                    return limiters[i];
-                }
-            }
+        function joinDuplicate(request, entry) {
+            entry.joined++;
+            return entry.sent.promise.then(function() {
+                request.$$rateLimitDuplicateOf = entry;
+                request.cache = entry.sharedCache;
+                return request;
+            });
         }
 
 
         /**
-         * Match rule to request object.
+         * Get identity of the request for merging it with identical ones. 
+         * Only GET requests without body, `timeout` and `$http` cache are 
+         * merged, because the callers could not get their own response or 
+         * cancel their own request otherwise. Cached requests are already 
+         * merged by `$http`.
          * 
-         * @param {String|Regexp|Function} matcher String and RegExp arguments 
-         *                  will be compared to request URL, if argument is 
-         *                  function then request object is passed to it and 
-         *                  it should return boolean value does request match.
-         * @param {Object} request Angular $http request object.
-         * @return {boolean} Request matches the rule.
+         * @param {Object} request Angular $http request object
+         * @return {String|undefined} Identity, undefined if not merged.
          */
-        function matchesToRequest(matcher, request) {
-            if(typeof matcher === 'function') {
-                return matcher(request);
-            }
-            else {
-                return request.url.match(matcher);
+        function getDuplicateIdentity(request) {
+            var rule = limiter.getMatchingRule(request);
+            if(!rule || !rule.dedupe || request.timeout || (request.data !== undefined && request.data !== null) ||
+                (request.method || 'GET').toUpperCase() !== 'GET' || isCached(request)) {
+                return undefined;
             }
+
+            var identity = rule.dedupe(request);
+            return identity === undefined || identity === null ? undefined : String(identity);
         }
 
 
         /**
-         * Delay and retry to get token from the bucket. Return promise which 
-         * is resolved when token is received from the bucket.
+         * Check if the request uses `$http` cache.
          * 
-         * @param {Object} request Angular HTTP request object
-         * @param {TokenBucket} bucket TokenBucket to be checked
+         * @param {Object} request Angular $http request object
+         * @return {Boolean}
          */
-        function delayRequest(request, rule) {
-            var deferred = $q.defer();
-            var retryInterval = $interval(tryToGetToken, rule.requestDelay);
+        function isCached(request) {
+            // Get $http lazily, because it cannot be injected to its own interceptor
+            return request.cache !== false && !!(request.cache || $injector.get('$http').defaults.cache);
+        }
 
-            return deferred.promise;
 
+        /**
+         * Give the outcome of the merged request to its duplicates. Later 
+         * identical requests are sent again.
+         * 
+         * @param {Object} config Angular $http request object
+         * @param {Object} outcome Response or rejection reason
+         * @param {Boolean} failed Is the request rejected
+         */
+        function settleDuplicates(config, outcome, failed) {
+            var entry = config && config.$$rateLimitDuplicates;
+            if(entry && duplicates[entry.identity] === entry) {
+                delete duplicates[entry.identity];
+                if(entry.raw) {
+                    // Raw response of the last attempt, failed or not
+                    entry.raw.then(entry.response.resolve, entry.response.resolve);
+                }
+                else if(entry.joined && failed) {
+                    // Rejection nobody waits for would be reported as unhandled
+                    entry.sent.reject(outcome);
+                }
+            }
+        }
 
-            function tryToGetToken() {
-                if(rule.bucket.tryRemoveTokens(1)) {
-                    $interval.cancel(retryInterval);
-                    retryInterval = undefined;
 
-                    deferred.resolve(request);
-                }
+        /**
+         * Interceptor response handler to release slots of successful 
+         * response and adapt the rate to it.
+         * 
+         * @param {Object} response Angular $http response object
+         * @return {Object} Response
+         */
+        function handleResponse(response) {
+            // Merged request was already handled with the one it joined
+            if(response.config && response.config.$$rateLimitDuplicateOf) {
+                return response;
             }
+
+            return limiter.handleResponse(response);
         }
 
 
         /**
-         * Retry request if HTTP error code 429 (too many requests).
+         * Retry request if HTTP error code 429 (too many requests) or other
+         * retryable status code is received. When all retries are used, the
+         * response is rejected with `attempts` property telling how many
+         * times the request was sent.
          * 
          * @param {Object} response Angular $http response object
          * @return {Promise}
          */
         function retryTooManyRequest(response) {
-            var rule = getMatchingRule(response.config);
-            // If no matching limter is found or status is not 429 proceed with normal flow 
-            if(!rule || response.status !== 429) {
+            // Merged request was already handled with the one it joined
+            if(response && response.config && response.config.$$rateLimitDuplicateOf) {
                 return $q.reject(response);
             }
 
-            var requestConfiguration = response.config;
-            return $timeout(function() {
-                return $http(requestConfiguration);
-            }, rule.retryInterval);
+            return limiter.retryResponse(response, function(requestConfiguration) {
+                // Get $http lazily, because it cannot be injected to its own interceptor
+                return $injector.get('$http')(requestConfiguration);
+            });
         }
     });
 
-})(window.angular);
\ No newline at end of file
+
+    /**
+     * @ngdoc directive
+     * @name angularRateLimiter.directive:rateLimitClick
+     * @restrict A
+     * @description
+     * Evaluate expression on click, if a token is got from the bucket. 
+     * Bucket holds `rate-limit` tokens, e.g. '5/10s', or clicks are limited
+     * by the HTTP rule named with `rate-limit-rule`, waiting in its queue 
+     * behind the requests. `rate-limit-excess` tells what is done to clicks
+     * without token; 'drop' (default) ignores them, 'queue' evaluates each 
+     * when tokens are added and 'coalesce' evaluates only the last one.
+     * 
+     * Directive creates a scope with `$throttled` (no token or clicks 
+     * waiting), `$remainingTokens` and `$nextTokenIn` (milliseconds until 
+     * the next token, updated at least every second while throttled).
+     * 
+     * @example
+        <example module="angularRateLimiter">
+            <file name="index.html">
+                <button rate-limit-click="ctrl.save()" rate-limit="5/10s" ng-disabled="$throttled">
+                    Save <span ng-if="$throttled">in {{$nextTokenIn / 1000 | number:0}}s</span>
+                </button>
+                <button rate-limit-click="ctrl.search($event)" rate-limit-rule="api" rate-limit-excess="coalesce">
+                    Search
+                </button>
+            </file>
+        </example>
+     */
+    ngModule.directive('rateLimitClick', function(AngularRateLimiterTokenBucket, $parse, $timeout, $injector, $q,
+            $exceptionHandler) {
+        // Milliseconds between state updates while throttled
+        var COUNTDOWN_INTERVAL = 1000;
+        var EXCESS_POLICIES = ['drop', 'queue', 'coalesce'];
+
+        return {
+            restrict: 'A',
+            scope: true,
+            link: function(scope, element, attrs) {
+                var action = $parse(attrs.rateLimitClick);
+                var excess = attrs.rateLimitExcess || 'drop';
+                if(EXCESS_POLICIES.indexOf(excess) === -1) {
+                    throw new Error('Invalid rate-limit-excess value');
+                }
+
+                var bucket;
+                if(!attrs.rateLimitRule) {
+                    var rate = core.parseRate(attrs.rateLimit);
+                    bucket = new AngularRateLimiterTokenBucket(rate.tokens, rate.tokens, rate.interval);
+                }
+
+                // Click events waiting for tokens, and clicks waiting in 
+                // the queue of the rule
+                var pending = [];
+                var queued = [];
+                var timer;
+                var destroyed = $q.defer();
+                var isDestroyed = false;
+
+                element.on('click', function(event) {
+                    scope.$apply(function() {
+                        handleClick(event);
+                    });
+                });
+
+                scope.$on('$destroy', function() {
+                    isDestroyed = true;
+                    $timeout.cancel(timer);
+                    pending = [];
+                    destroyed.resolve();
+                });
+
+                updateState();
+
+
+                /**
+                 * Get bucket of the rule lazily, because the rule can be 
+                 * changed at runtime.
+                 * 
+                 * @return {Object} Token bucket
+                 */
+                function getBucket() {
+                    return bucket || getInterceptor().getRuleBucket(attrs.rateLimitRule);
+                }
+
+
+                /**
+                 * Get interceptor holding the rules lazily, because it 
+                 * depends on $http.
+                 * 
+                 * @return {Object} Interceptor
+                 */
+                function getInterceptor() {
+                    return $injector.get('AngularRateLimiterInterceptor');
+                }
+
+
+                /**
+                 * Evaluate expression, if clicks are not waiting and token
+                 * is got. Otherwise apply the excess policy.
+                 * 
+                 * @param {Object} event Click event
+                 */
+                function handleClick(event) {
+                    if(attrs.rateLimitRule) {
+                        limitClick(event);
+                    }
+                    else if(!pending.length && bucket.tryRemoveTokens(1)) {
+                        action(scope, { $event: event });
+                    }
+                    else if(excess === 'queue') {
+                        pending.push(event);
+                    }
+                    else if(excess === 'coalesce') {
+                        pending = [event];
+                    }
+                    updateState();
+                }
+
+
+                /**
+                 * Evaluate click through the queue of the rule like a call
+                 * of a wrapped function, so it waits behind the requests 
+                 * of the rule. Click which would wait is dropped, or it 
+                 * replaces the waiting click when coalescing.
+                 * 
+                 * @param {Object} event Click event
+                 */
+                function limitClick(event) {
+                    var interceptor = getInterceptor();
+                    var names = [attrs.rateLimitRule];
+                    if(excess === 'coalesce' && queued.length) {
+                        queued[0].event = event;
+                        return;
+                    }
+                    if(excess === 'drop' && interceptor.explainRequest({ rateLimit: { rule: names } }).action !== 'send') {
+                        return;
+                    }
+
+                    var click = { event: event };
+                    queued.push(click);
+                    interceptor.limitCall(function() {
+                        removeClick(click);
+                        try {
+                            // Promise returned by the expression holds the slot
+                            return action(scope, { $event: click.event });
+                        }
+                        catch(error) {
+                            $exceptionHandler(error);
+                        }
+                    }, null, [], names, { timeout: destroyed.promise }).catch(function() {
+                        // Click dropped by the limiter
+                        removeClick(click);
+                    }).finally(updateState);
+                }
+
+
+                /**
+                 * Remove click from the clicks waiting in the rule queue.
+                 * 
+                 * @param {Object} click Click
+                 */
+                function removeClick(click) {
+                    var index = queued.indexOf(click);
+                    if(index !== -1) {
+                        queued.splice(index, 1);
+                    }
+                }
+
+
+                /**
+                 * Evaluate waiting clicks which get tokens.
+                 */
+                function releasePending() {
+                    timer = undefined;
+                    while(pending.length && bucket.tryRemoveTokens(1)) {
+                        action(scope, { $event: pending.shift() });
+                    }
+                    updateState();
+                }
+
+
+                /**
+                 * Update scope state and arm timer for the next token.
+                 */
+                function updateState() {
+                    // Cancelled clicks settle after the element is removed
+                    if(isDestroyed) {
+                        return;
+                    }
+
+                    var current = getBucket();
+                    current.drip();
+                    var waitTime = current.getWaitTime(1);
+
+                    scope.$throttled = pending.length > 0 || queued.length > 0 || waitTime > 0;
+                    scope.$remainingTokens = Math.floor(current.content);
+                    scope.$nextTokenIn = waitTime === Infinity ? waitTime : Math.ceil(waitTime);
+
+                    $timeout.cancel(timer);
+                    timer = undefined;
+                    if(waitTime > 0 && waitTime !== Infinity) {
+                        timer = $timeout(releasePending, Math.min(Math.ceil(waitTime), COUNTDOWN_INTERVAL));
+                    }
+                }
+            }
+        };
+    });
+
+    // Module name for CommonJS bundlers, e.g. angular.module('myApp', [require('angular-rate-limiter')])
+    if(typeof module === 'object' && module.exports) {
+        module.exports = ngModule.name;
+    }
+
+})(window.angular, typeof module === 'object' && module.exports ? require('./rate-limiter-core') : window.RateLimiterCore);
\ No newline at end of file
@@ -0,0 +1,4928 @@
+/**
+ * Framework-free core of the rate limiter. Rules, token buckets and other
+ * limiting strategies, request matching, wait queues, quotas, circuit 
+ * breaker and retry policy work on plain request objects with `method`, 
+ * `url`, `params`, `headers`, `data` and `rateLimit` properties, the same
+ * way as `$http` request configurations. AngularJS module in 
+ * angular-rate-limiter.js is a thin adapter over the core, and `fetch` and
+ * `XMLHttpRequest` can be limited with the same rules without AngularJS.
+ * 
+ * Core is loaded with CommonJS `require`, or as `RateLimiterCore` global 
+ * in a browser.
+ * 
+ * @example
+    var RateLimiterCore = require('angular-rate-limiter/rate-limiter-core');
+
+    var limiter = RateLimiterCore.createRateLimiter({
+        rules: [
+            RateLimiterCore.createRule({ name: 'api', match: 'api.mydomain.com', rate: '10/s' })
+        ]
+    });
+
+    limiter.limitFetch('https://api.mydomain.com/projects').then(function(response) {
+        // Response of `fetch`, sent when the rule had a token
+    });
+ */
+(function(root, factory) {
+    'use strict';
+
+    // CommonJS module for Node.js and bundlers, or browser global
+    /* global module, global */
+    if(typeof module === 'object' && module.exports) {
+        module.exports = factory(typeof window === 'undefined' ? global : window);
+    }
+    else {
+        root.RateLimiterCore = factory(root);
+    }
+
+})(this, function(root) {
+    'use strict';
+
+    // Rate string, e.g. '5/10s' or '100/minute'
+    var RATE_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*\/(.*)$/;
+    // Duration string, e.g. '10s', '5 minutes' or 'hour'
+    var DURATION_PATTERN = /^\s*(\d+(?:\.\d+)?)?\s*([a-z]*)\s*$/i;
+    // Host and path of absolute URL, or path of relative URL
+    var URL_PATTERN = /^(?:(?:[a-z][a-z0-9+.\-]*:)?\/\/(?:[^\/?#@]*@)?([^\/?#:]*)[^\/?#]*)?([^?#]*)/i;
+    // Milliseconds of the duration units
+    var DURATION_UNITS = {
+        '': 1,
+        ms: 1, millisecond: 1, milliseconds: 1,
+        s: 1000, sec: 1000, second: 1000, seconds: 1000,
+        m: 60 * 1000, min: 60 * 1000, minute: 60 * 1000, minutes: 60 * 1000,
+        h: 60 * 60 * 1000, hour: 60 * 60 * 1000, hours: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, days: 24 * 60 * 60 * 1000
+    };
+    // Storage keys of bucket state, quotas and tab messages
+    var KEY_PREFIX = 'angularRateLimiter:';
+    var STORAGE_TEST_KEY = KEY_PREFIX + 'test';
+    var BUCKET_KEY_PREFIX = KEY_PREFIX + 'bucket:';
+    var QUOTA_KEY_PREFIX = KEY_PREFIX + 'quota:';
+    // Milliseconds the lock of shared bucket is held at most, if tab dies 
+    // while holding it
+    var LOCK_TIMEOUT = 100;
+
+    // Options of earlier versions, which are warned about
+    var deprecatedOptions = {
+        requestDelay: 'is deprecated and ignored, requests wait for the next token without polling',
+        retryDelay: 'is deprecated, use retryInterval instead'
+    };
+    // Defaults of rule options
+    var defaultRuleConfiguration = {
+        match: '',
+        literal: false,
+        bucketSize: 20,
+        tokensPerInterval: 20,
+        tokenInterval: 1000,
+        cost: 1,
+        strategy: 'token-bucket',
+        maxConcurrent: Infinity,
+        key: null,
+        maxKeys: 1000,
+        dedupe: false,
+        adaptive: false,
+        minTokensPerInterval: null,
+        maxTokensPerInterval: null,
+        rateDecrease: 0.5,
+        rateIncrease: 1,
+        rateIncreaseAfter: 10,
+        syncRemaining: false,
+        skipDigest: false,
+        shared: false,
+        persist: null,
+        quotas: [],
+        circuitBreaker: null,
+        maxQueueLength: Infinity,
+        queueOverflow: 'reject',
+        maxWait: Infinity,
+        waitOverflow: 'reject',
+        retryInterval: 50,
+        maxRetries: 3,
+        backoff: 'fixed',
+        maxRetryInterval: 30000,
+        jitter: 'none',
+        retryStatuses: [429],
+        retryIdempotentStatuses: []
+    };
+
+    // Defaults of circuit breaker options
+    var defaultCircuitBreaker = {
+        failures: 5,
+        window: 10000,
+        cooldown: 30000,
+        probes: 1,
+        statuses: [429, 500, 502, 503, 504]
+    };
+
+
+    // Classes of the built-in limiting strategies
+    var STRATEGIES = {
+        'token-bucket': TokenBucket,
+        'sliding-window-log': SlidingWindowLog,
+        'sliding-window-counter': SlidingWindowCounter,
+        'fixed-window': FixedWindow,
+        'leaky-bucket': LeakyBucket
+    };
+
+    /**
+     * Check if value is a string.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isString(value) {
+        return typeof value === 'string';
+    }
+
+
+    /**
+     * Check if value is a number, including NaN and Infinity.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isNumber(value) {
+        return typeof value === 'number';
+    }
+
+
+    /**
+     * Check if value is a function.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isFunction(value) {
+        return typeof value === 'function';
+    }
+
+
+    /**
+     * Check if value is an object or array, but not null.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object';
+    }
+
+
+    /**
+     * Check if value is an array.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isArray(value) {
+        return Array.isArray(value);
+    }
+
+
+    /**
+     * Call iterator with each item and index of an array, or with each 
+     * own value and key of an object.
+     * 
+     * @param {Array|Object} [collection] Array or object
+     * @param {Function} iterator Function getting value and key
+     */
+    function forEach(collection, iterator) {
+        if(isArray(collection)) {
+            for(var i = 0, length = collection.length; i < length; i++) {
+                if(i in collection) {
+                    iterator(collection[i], i);
+                }
+            }
+        }
+        else if(collection) {
+            for(var key in collection) {
+                if(Object.prototype.hasOwnProperty.call(collection, key)) {
+                    iterator(collection[key], key);
+                }
+            }
+        }
+    }
+
+
+    /**
+     * Copy own properties of the sources to the destination.
+     * 
+     * @param {Object} destination Object to extend
+     * @param {...Object} sources Objects to copy properties from
+     * @return {Object} Destination
+     */
+    function extend(destination) {
+        for(var i = 1; i < arguments.length; i++) {
+            forEach(arguments[i], setProperty);
+        }
+        return destination;
+
+        function setProperty(value, key) {
+            destination[key] = value;
+        }
+    }
+
+
+    /**
+     * Function doing nothing.
+     */
+    function noop() {}
+
+
+    /**
+     * Serialize value to JSON. Properties starting with `$$` are private 
+     * and left out, like `angular.toJson` does.
+     * 
+     * @param {*} value Value to serialize
+     * @return {String|undefined} JSON
+     */
+    function toJson(value) {
+        return JSON.stringify(value, function(key, item) {
+            return isString(key) && key.charAt(0) === '$' && key.charAt(1) === '$' ? undefined : item;
+        });
+    }
+
+
+    /**
+     * Parse JSON string. Other values are returned as they are.
+     * 
+     * @param {*} json JSON
+     * @return {*} Parsed value
+     */
+    function fromJson(json) {
+        return isString(json) ? JSON.parse(json) : json;
+    }
+
+
+    /**
+     * Get class of the limiting strategy.
+     * 
+     * @param {String} name Strategy name
+     * @return {Function} Strategy class
+     * @throws {Error} Error is thrown if there is no such strategy.
+     */
+    function getStrategy(name) {
+        if(!STRATEGIES.hasOwnProperty(name)) {
+            throw new Error('Unknown rate limiter strategy "' + name + '"');
+        }
+        return STRATEGIES[name];
+    }
+
+    /**
+     * Get window length of a window strategy, which is the time it takes 
+     * to drip a full bucket.
+     * 
+     * @param {Object} bucket Strategy instance
+     * @return {Number} Milliseconds
+     */
+    function getWindow(bucket) {
+        return bucket.interval * bucket.bucketSize / bucket.tokensPerInterval;
+    }
+
+
+    /**
+     * Parse rate like '5/10s' or '100/minute', or object like 
+     * `{ limit: 5, per: '10s', burst: 10 }`. See `parseDuration` for the 
+     * durations. Burst defaults to the limit.
+     * 
+     * @param {String|Object} rate Rate
+     * @return {Object} Rate with `tokens`, `interval` in milliseconds and
+     *                  `burst`
+     * @throws {Error} Error is thrown if rate is not valid.
+     */
+    function parseRate(rate) {
+        var limit, per, burst;
+        if(isString(rate)) {
+            var match = RATE_PATTERN.exec(rate);
+            limit = match ? +match[1] : NaN;
+            per = match ? match[2] : undefined;
+        }
+        else if(isObject(rate)) {
+            limit = rate.limit;
+            per = rate.per;
+            burst = rate.burst;
+        }
+
+        if(burst === undefined) {
+            burst = limit;
+        }
+
+        var interval = parseDuration(per);
+        if(!isPositiveNumber(limit) || !isPositiveNumber(burst) || isNaN(interval)) {
+            throw new Error('Invalid rate "' + (isString(rate) ? rate : toJson(rate)) + '"');
+        }
+        return { tokens: limit, interval: interval, burst: burst };
+    }
+
+
+    /**
+     * Tell if value is a number greater than zero.
+     * 
+     * @param {*} value Value
+     * @return {Boolean} True if value is a positive number
+     */
+    function isPositiveNumber(value) {
+        return isNumber(value) && value > 0;
+    }
+
+
+    /**
+     * Copy configuration value deeply. Arrays and plain objects are copied,
+     * while functions, RegExps and objects with methods, like storages, are
+     * kept as they are.
+     * 
+     * @param {*} value Configuration value
+     * @return {*} Copy of the value
+     */
+    function copyConfiguration(value) {
+        if(isArray(value)) {
+            return value.map(copyConfiguration);
+        }
+        if(!isObject(value) || Object.getPrototypeOf(value) !== Object.prototype) {
+            return value;
+        }
+
+        var copy = {};
+        for(var key in value) {
+            if(value.hasOwnProperty(key)) {
+                if(isFunction(value[key])) {
+                    return value;
+                }
+                copy[key] = copyConfiguration(value[key]);
+            }
+        }
+        return copy;
+    }
+
+
+    /**
+     * Parse duration given as milliseconds or string like '10s', '500ms',
+     * '5 minutes' or 'hour'. Units are 'ms', 's', 'm', 'h' and 'd', or 
+     * their names like 'second' and 'seconds'. String without unit is 
+     * milliseconds.
+     * 
+     * @param {Number|String} duration Duration
+     * @return {Number} Milliseconds, NaN if duration is not valid.
+     */
+    function parseDuration(duration) {
+        if(isNumber(duration)) {
+            return duration > 0 ? duration : NaN;
+        }
+
+        var match = isString(duration) ? DURATION_PATTERN.exec(duration) : null;
+        var unit = match && DURATION_UNITS[match[2].toLowerCase()];
+        if(!unit || (!match[1] && !match[2]) || +match[1] === 0) {
+            return NaN;
+        }
+        return (match[1] ? +match[1] : 1) * unit;
+    }
+
+
+    /**
+     * Compile `match` value of a rule to a function, which tells if the 
+     * request matches. Function gets the request and its location, which
+     * has `url` with params, `method`, resolved `host` and `path`.
+     * 
+     * @param {String|RegExp|Function|Object} matcher Match value of the rule
+     * @param {Boolean} literal Are strings matched literally
+     * @return {Function} Matcher function
+     * @throws {Error} Error is thrown if match value is not valid.
+     */
+    function compileMatcher(matcher, literal) {
+        if(!matcher) {
+            return function() {
+                return true;
+            };
+        }
+
+        if(isFunction(matcher)) {
+            return function(request) {
+                return !!matcher(request);
+            };
+        }
+
+        if(isString(matcher) || matcher instanceof RegExp) {
+            return compileCondition('url', matcher, literal);
+        }
+
+        if(!isObject(matcher) || isArray(matcher)) {
+            throw new Error('Invalid match value');
+        }
+
+        // All conditions of the object must match
+        var conditions = [];
+        forEach(matcher, function(value, name) {
+            conditions.push(compileCondition(name, value, literal));
+        });
+        return function(request, location) {
+            for(var i = 0; i < conditions.length; i++) {
+                if(!conditions[i](request, location)) {
+                    return false;
+                }
+            }
+            return true;
+        };
+    }
+
+
+    /**
+     * Compile one condition of a matcher object.
+     * 
+     * @param {String} name Condition name
+     * @param {*} value Condition value
+     * @param {Boolean} literal Are strings matched literally
+     * @return {Function} Matcher function
+     * @throws {Error} Error is thrown if condition is not valid.
+     */
+    function compileCondition(name, value, literal) {
+        var test, matchers;
+        if(name === 'url') {
+            test = compileText(value, literal);
+            return function(request, location) {
+                return test(location.url);
+            };
+        }
+        else if(name === 'method') {
+            var methods = [];
+            forEach([].concat(value), function(method) {
+                methods.push(String(method).toUpperCase());
+            });
+            return function(request, location) {
+                return methods.indexOf(location.method) !== -1;
+            };
+        }
+        else if(name === 'host') {
+            test = compileGlob(value, 'i');
+            return function(request, location) {
+                return test(location.host);
+            };
+        }
+        else if(name === 'path') {
+            test = compileGlob(value, '');
+            return function(request, location) {
+                return test(location.path);
+            };
+        }
+        else if(name === 'headers' || name === 'params') {
+            return compileValues(name, value);
+        }
+        else if((name === 'any' || name === 'all') && isArray(value)) {
+            matchers = [];
+            forEach(value, function(matcher) {
+                matchers.push(compileMatcher(matcher, literal));
+            });
+            return function(request, location) {
+                for(var i = 0; i < matchers.length; i++) {
+                    if(matchers[i](request, location) === (name === 'any')) {
+                        return name === 'any';
+                    }
+                }
+                return name === 'all';
+            };
+        }
+        else if(name === 'not') {
+            test = compileMatcher(value, literal);
+            return function(request, location) {
+                return !test(request, location);
+            };
+        }
+        throw new Error('Invalid match condition "' + name + '"');
+    }
+
+
+    /**
+     * Compile string or regular expression to match text. Strings are 
+     * regular expressions, unless they are matched literally.
+     * 
+     * @param {String|RegExp} pattern Pattern
+     * @param {Boolean} literal Is string matched literally
+     * @return {Function} Function which tests text
+     */
+    function compileText(pattern, literal) {
+        if(!isString(pattern) && !(pattern instanceof RegExp)) {
+            throw new Error('Invalid match value');
+        }
+
+        return function(text) {
+            if(literal && isString(pattern)) {
+                return text.indexOf(pattern) !== -1;
+            }
+            return !!text.match(pattern);
+        };
+    }
+
+
+    /**
+     * Compile glob or path template to match whole text. `**` matches 
+     * anything, `*` and `:param` anything but a slash.
+     * 
+     * @param {String|RegExp} pattern Glob or regular expression
+     * @param {String} flags Flags of the regular expression
+     * @return {Function} Function which tests text
+     */
+    function compileGlob(pattern, flags) {
+        if(isString(pattern)) {
+            var source = pattern
+                .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*\*|\*|:\w+/g, function(token) {
+                    return token === '**' ? '.*' : token === '*' ? '[^/]*' : '[^/]+';
+                });
+            pattern = new RegExp('^' + source + '$', flags);
+        }
+        return compileText(pattern, false);
+    }
+
+
+    /**
+     * Compile predicates of request headers or params. Predicate is `true`
+     * if value must be given, `false` if not, a value it must equal, a
+     * regular expression or a function getting the value. Header names are
+     * case-insensitive.
+     * 
+     * @param {String} name 'headers' or 'params'
+     * @param {Object} predicates Predicates by header or param name
+     * @return {Function} Matcher function
+     */
+    function compileValues(name, predicates) {
+        if(!isObject(predicates)) {
+            throw new Error('Invalid match condition "' + name + '"');
+        }
+
+        return function(request) {
+            var values = request[name] || {};
+            for(var key in predicates) {
+                if(predicates.hasOwnProperty(key) && !testValue(predicates[key], getValue(values, key, name === 'headers'))) {
+                    return false;
+                }
+            }
+            return true;
+        };
+    }
+
+
+    /**
+     * Get value by name.
+     * 
+     * @param {Object} values Headers or params
+     * @param {String} key Name of the value
+     * @param {Boolean} ignoreCase Is name case-insensitive
+     * @return {*} Value, undefined if not found.
+     */
+    function getValue(values, key, ignoreCase) {
+        if(!ignoreCase) {
+            return values[key];
+        }
+
+        for(var name in values) {
+            if(values.hasOwnProperty(name) && name.toLowerCase() === key.toLowerCase()) {
+                return values[name];
+            }
+        }
+        return undefined;
+    }
+
+
+    /**
+     * Test header or param value with predicate.
+     * 
+     * @param {*} predicate Predicate
+     * @param {*} value Value, undefined if not given
+     * @return {Boolean} Value matches the predicate.
+     */
+    function testValue(predicate, value) {
+        var given = value !== undefined && value !== null;
+        if(typeof predicate === 'boolean') {
+            return predicate === given;
+        }
+        else if(isFunction(predicate)) {
+            return !!predicate(value);
+        }
+        else if(predicate instanceof RegExp) {
+            return given && predicate.test(String(value));
+        }
+        return given && String(value) === String(predicate);
+    }
+
+
+    /**
+     * Create rule configuration with default values for missing options.
+     * Options are the ones of `AngularRateLimiterProvider.addRateLimiter`,
+     * see README; `skipDigest` is only passed to the timers of the
+     * environment.
+     *
+     * @param {Object} option Rate limiter configuration object.
+     * @param {Object} [base] Rule configuration to update
+     * @return {Object} Rule configuration
+     * @throws {Error}   Error is thrown if configuration is not valid.
+     *                  Message names the rule and the option.
+     */
+    function createRule(option, base) {
+        var rule;
+        try {
+            rule = normalizeRule(option, base);
+            validateRule(rule);
+        }
+        catch(error) {
+            throw getRuleError(rule || extend({}, base, option), error);
+        }
+
+        // Use debug console, if configuring match all rule.
+        if(!rule.match && console && console.debug) {
+            console.debug('Adding match all rule');
+        }
+
+        return rule;
+    }
+
+
+    /**
+     * Merge options to defaults, or to the rule being updated, and 
+     * convert `rate` and duration strings.
+     * 
+     * @param {Object} option Rate limiter configuration object.
+     * @param {Object} [base] Rule configuration to update
+     * @return {Object} Rule configuration
+     * @throws {Error}   Error is thrown if an option is unknown or 
+     *                  `rate` is not valid.
+     */
+    function normalizeRule(option, base) {
+        if(!isObject(option)) {
+            throw new Error('Invalid configuration');
+        }
+
+        for(var key in option) {
+            if(option.hasOwnProperty(key) && deprecatedOptions.hasOwnProperty(key)) {
+                if(console && console.warn) {
+                    console.warn('Rate limiter option "' + key + '" ' + deprecatedOptions[key]);
+                }
+            }
+            else if(option.hasOwnProperty(key) && key !== 'name' && key !== 'rate' &&
+                !defaultRuleConfiguration.hasOwnProperty(key)) {
+                throw new Error('Unknown option "' + key + '"');
+            }
+        }
+
+        // Rules must not share the arrays and objects of the defaults
+        var rule = copyRule(extend({}, base || defaultRuleConfiguration, option));
+        delete rule.rate;
+        // Retry delay of earlier versions, where -1 disables retrying
+        if(option.retryDelay !== undefined && option.retryInterval === undefined) {
+            rule.retryInterval = option.retryDelay;
+        }
+        forEach(deprecatedOptions, function(message, key) {
+            delete rule[key];
+        });
+
+        if(option.rate !== undefined) {
+            if(option.tokensPerInterval !== undefined || option.tokenInterval !== undefined) {
+                throw new Error('Configure either rate or tokensPerInterval and tokenInterval');
+            }
+
+            var rate = parseRate(option.rate);
+            rule.tokensPerInterval = rate.tokens;
+            rule.tokenInterval = rate.interval;
+            if(option.bucketSize === undefined) {
+                rule.bucketSize = rate.burst;
+            }
+        }
+
+        if(isString(rule.tokenInterval)) {
+            rule.tokenInterval = parseDuration(rule.tokenInterval);
+        }
+
+        if(!isArray(rule.quotas)) {
+            throw new Error('Invalid quotas value');
+        }
+        rule.quotas = rule.quotas.map(normalizeQuota);
+        rule.circuitBreaker = normalizeCircuitBreaker(rule.circuitBreaker);
+        return rule;
+    }
+
+
+    /**
+     * Copy rule configuration with its arrays and plain objects. 
+     * Functions and storages are shared with the rule.
+     * 
+     * @param {Object} rule Rule configuration
+     * @return {Object} Copy of the rule
+     */
+    function copyRule(rule) {
+        var copy = {};
+        forEach(rule, function(value, key) {
+            copy[key] = copyConfiguration(value);
+        });
+        return copy;
+    }
+
+
+    /**
+     * Fill in defaults of circuit breaker options and convert 
+     * durations to milliseconds.
+     * 
+     * @param {Boolean|Object|null} option `circuitBreaker` option
+     * @return {Object|null} Circuit breaker options, null if disabled
+     * @throws {Error}   Error is thrown if an option is unknown.
+     */
+    function normalizeCircuitBreaker(option) {
+        if(!option) {
+            return null;
+        }
+
+        var breaker = copyConfiguration(defaultCircuitBreaker);
+        if(option !== true) {
+            if(!isObject(option)) {
+                throw new Error('Invalid circuitBreaker value');
+            }
+            for(var key in option) {
+                if(option.hasOwnProperty(key) && !defaultCircuitBreaker.hasOwnProperty(key)) {
+                    throw new Error('Unknown circuitBreaker option "' + key + '"');
+                }
+            }
+            extend(breaker, option);
+        }
+
+        forEach(['window', 'cooldown'], function(field) {
+            if(isString(breaker[field])) {
+                breaker[field] = parseDuration(breaker[field]);
+            }
+        });
+        return breaker;
+    }
+
+
+    /**
+     * Convert quota given as rate string, like '5000/day', or as object
+     * `{ limit: 5000, per: 'day', name: 'daily', persist: 'localStorage' }`
+     * to object with `per` in milliseconds. Name defaults to the rate.
+     * 
+     * @param {String|Object} quota Quota
+     * @return {Object} Quota with `name`, `limit`, `per` and `persist`
+     * @throws {Error}   Error is thrown if quota is not valid.
+     */
+    function normalizeQuota(quota) {
+        var rate = parseRate(quota);
+        var name = isString(quota) ? quota : quota.name;
+        if(name === undefined) {
+            name = rate.tokens + '/' + (isString(quota.per) ? quota.per : rate.interval + 'ms');
+        }
+
+        if(!isString(name)) {
+            throw new Error('Invalid quota name');
+        }
+        return {
+            name: name,
+            limit: rate.tokens,
+            per: rate.interval,
+            persist: isString(quota) ? undefined : quota.persist
+        };
+    }
+
+
+    /**
+     * Validate rule configuration.
+     * 
+     * @param {Object} rule Rule configuration
+     * @throws {Error}   Error is thrown if configuration is not valid.
+     */
+    function validateRule(rule) {
+        if(rule.name !== undefined && !isString(rule.name)) {
+            throw new Error('Invalid name value');
+        }
+
+        if(!rule.bucketSize) {
+            throw new Error('No bucketSize configured for rate limiter');
+        }
+
+        validateNumber(rule, 'bucketSize', 0, true);
+        validateNumber(rule, 'tokensPerInterval', 0);
+        validateNumber(rule, 'tokenInterval', 0, true);
+
+        // Throws error if match value is not valid
+        compileMatcher(rule.match, rule.literal);
+        validateBoolean(rule, 'literal');
+
+        if(!isFunction(rule.cost)) {
+            validateNumber(rule, 'cost', 0);
+        }
+
+        if(rule.key && !isFunction(rule.key) && !isString(rule.key)) {
+            throw new Error('Invalid key value');
+        }
+
+        validateNumber(rule, 'maxKeys', 1);
+
+        if(rule.dedupe && rule.dedupe !== true && !isFunction(rule.dedupe)) {
+            throw new Error('Invalid dedupe value');
+        }
+
+        validateNumber(rule, 'maxConcurrent', 1);
+
+        if(!isString(rule.strategy)) {
+            throw new Error('Invalid strategy value');
+        }
+
+        validateBoolean(rule, 'adaptive');
+        validateBoolean(rule, 'syncRemaining');
+        validateBoolean(rule, 'skipDigest');
+        validateBoolean(rule, 'shared');
+
+        if(rule.adaptive) {
+            validateAdaptive(rule);
+        }
+
+        if((rule.shared || rule.persist) && rule.strategy !== 'token-bucket') {
+            throw new Error('Only token-bucket strategy can be shared or persisted');
+        }
+
+        if(rule.shared && rule.name === undefined) {
+            throw new Error('No name configured for shared rate limiter');
+        }
+
+        if(rule.persist && rule.name === undefined) {
+            throw new Error('No name configured for persisted rate limiter');
+        }
+
+        if(rule.persist && !isValidPersist(rule.persist)) {
+            throw new Error('Invalid persist value');
+        }
+
+        forEach(rule.quotas, function(quota) {
+            if(quota.persist && !isValidPersist(quota.persist)) {
+                throw new Error('Invalid persist value of quota "' + quota.name + '"');
+            }
+
+            if((quota.persist || rule.persist) && rule.name === undefined) {
+                throw new Error('No name configured for persisted quota');
+            }
+        });
+
+        if(rule.circuitBreaker) {
+            validateCircuitBreaker(rule.circuitBreaker);
+        }
+
+        validateNumber(rule, 'maxQueueLength', 0);
+        validateOneOf(rule, 'queueOverflow', ['reject', 'dropOldest', 'bypass']);
+        validateNumber(rule, 'maxWait', 0);
+        validateOneOf(rule, 'waitOverflow', ['reject', 'dropOldest', 'bypass']);
+        validateNumber(rule, 'retryInterval', -Infinity);
+        validateNumber(rule, 'maxRetries', 0);
+        validateOneOf(rule, 'backoff', ['fixed', 'linear', 'exponential']);
+        validateNumber(rule, 'maxRetryInterval', 0);
+        validateOneOf(rule, 'jitter', ['none', 'full', 'equal']);
+        validateStatuses(rule, 'retryStatuses');
+        validateStatuses(rule, 'retryIdempotentStatuses');
+    }
+
+
+    /**
+     * Validate circuit breaker options.
+     * 
+     * @param {Object} breaker Circuit breaker options
+     * @throws {Error}   Error is thrown if options are not valid.
+     */
+    function validateCircuitBreaker(breaker) {
+        try {
+            validateNumber(breaker, 'failures', 1);
+            validateNumber(breaker, 'window', 0, true);
+            validateNumber(breaker, 'cooldown', 0);
+            validateNumber(breaker, 'probes', 1);
+            validateStatuses(breaker, 'statuses');
+        }
+        catch(error) {
+            throw new Error(error.message.replace('Invalid ', 'Invalid circuitBreaker.'));
+        }
+    }
+
+
+    /**
+     * Check that value is 'sessionStorage', 'localStorage' or an object
+     * with `get(key)` and `set(key, value)` methods.
+     * 
+     * @param {*} persist Value of `persist` option
+     * @return {Boolean}
+     */
+    function isValidPersist(persist) {
+        return persist === 'sessionStorage' || persist === 'localStorage' ||
+            (isFunction(persist.get) && isFunction(persist.set));
+    }
+
+
+    /**
+     * Validate that option is a number not less than `min`.
+     * 
+     * @param {Object} rule Rule configuration
+     * @param {String} field Option name
+     * @param {Number} min Smallest valid value
+     * @param {Boolean} [exclusive] Is `min` itself invalid
+     * @throws {Error}   Error is thrown if option is not valid.
+     */
+    function validateNumber(rule, field, min, exclusive) {
+        var value = rule[field];
+        if(!isNumber(value) || isNaN(value) || value < min || (exclusive && value === min)) {
+            throw new Error('Invalid ' + field + ' value');
+        }
+    }
+
+
+    /**
+     * Validate that option is a boolean.
+     * 
+     * @param {Object} rule Rule configuration
+     * @param {String} field Option name
+     * @throws {Error}   Error is thrown if option is not valid.
+     */
+    function validateBoolean(rule, field) {
+        if(rule[field] !== true && rule[field] !== false) {
+            throw new Error('Invalid ' + field + ' value');
+        }
+    }
+
+
+    /**
+     * Validate that option is one of the values.
+     * 
+     * @param {Object} rule Rule configuration
+     * @param {String} field Option name
+     * @param {Array} values Valid values
+     * @throws {Error}   Error is thrown if option is not valid.
+     */
+    function validateOneOf(rule, field, values) {
+        if(values.indexOf(rule[field]) === -1) {
+            throw new Error('Invalid ' + field + ' value "' + rule[field] + '", expected one of ' + values.join(', '));
+        }
+    }
+
+
+    /**
+     * Validate that option is an array of HTTP status codes.
+     * 
+     * @param {Object} rule Rule configuration
+     * @param {String} field Option name
+     * @throws {Error}   Error is thrown if option is not valid.
+     */
+    function validateStatuses(rule, field) {
+        var statuses = rule[field];
+        var valid = isArray(statuses);
+        for(var i = 0; valid && i < statuses.length; i++) {
+            valid = isNumber(statuses[i]);
+        }
+
+        if(!valid) {
+            throw new Error('Invalid ' + field + ' value');
+        }
+    }
+
+
+    /**
+     * Create error naming the rule, which configuration is not valid.
+     * 
+     * @param {Object} rule Rule configuration
+     * @param {Error} error Validation error
+     * @return {Error} Error with rule in the message
+     */
+    function getRuleError(rule, error) {
+        var description = 'Rate limiter rule';
+        if(isString(rule.name)) {
+            description += ' "' + rule.name + '"';
+        }
+        else if(rule.match && (isString(rule.match) || rule.match instanceof RegExp)) {
+            description += ' matching "' + rule.match + '"';
+        }
+        return new Error(description + ': ' + error.message);
+    }
+
+
+    /**
+     * Validate options of adaptive rate.
+     * 
+     * @param {Object} rule Rule configuration
+     * @throws {Error}   Error is thrown if options are not valid.
+     */
+    function validateAdaptive(rule) {
+        if(isNaN(rule.tokensPerInterval) || rule.tokensPerInterval <= 0) {
+            throw new Error('No tokensPerInterval configured for adaptive rate limiter');
+        }
+
+        var min = rule.minTokensPerInterval;
+        if(min !== null && (isNaN(min) || min <= 0)) {
+            throw new Error('Invalid minTokensPerInterval value');
+        }
+
+        var max = rule.maxTokensPerInterval;
+        if(max !== null && (isNaN(max) || max < (min || 0))) {
+            throw new Error('Invalid maxTokensPerInterval value');
+        }
+
+        if(isNaN(rule.rateDecrease) || rule.rateDecrease <= 0 || rule.rateDecrease >= 1) {
+            throw new Error('Invalid rateDecrease value');
+        }
+
+        if(isNaN(rule.rateIncrease) || rule.rateIncrease < 0) {
+            throw new Error('Invalid rateIncrease value');
+        }
+
+        if(isNaN(rule.rateIncreaseAfter) || rule.rateIncreaseAfter < 1) {
+            throw new Error('Invalid rateIncreaseAfter value');
+        }
+    }
+
+
+    /**
+     * @licence MIT
+     *  Copyright (C) 2011 by John Hurliman
+     * 
+     *  Permission is hereby granted, free of charge, to any person obtaining a copy
+     *  of this software and associated documentation files (the "Software"), to deal
+     *  in the Software without restriction, including without limitation the rights
+     *  to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+     *  copies of the Software, and to permit persons to whom the Software is
+     *  furnished to do so, subject to the following conditions:
+     * 
+     *  The above copyright notice and this permission notice shall be included in
+     *  all copies or substantial portions of the Software.
+     * 
+     *  THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+     *  IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+     *  FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+     *  AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+     *  LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+     *  OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+     *  THE SOFTWARE.
+     */
+
+
+    /**
+     * A hierarchical token bucket for rate limiting. See
+     * http://en.wikipedia.org/wiki/Token_bucket for more information.
+     * @author John Hurliman <jhurliman@cull.tv>
+     *
+     * @param {Number} bucketSize Maximum number of tokens to hold in the bucket.
+     *  Also known as the burst rate.
+     * @param {Number} tokensPerInterval Number of tokens to drip into the bucket
+     *  over the course of one interval.
+     * @param {String|Number} interval The interval length in milliseconds, or as
+     *  one of the following strings: 'second', 'minute', 'hour', 'day', or
+     *  duration like '10s'.
+     */
+    function TokenBucket(bucketSize, tokensPerInterval, interval) {
+        this.bucketSize = bucketSize;
+        this.tokensPerInterval = tokensPerInterval;
+        this.interval = isString(interval) ? parseDuration(interval) : interval;
+        this.content = bucketSize;
+        this.lastDrip = +new Date();
+    }
+
+    TokenBucket.prototype = {
+        bucketSize: 1,
+        tokensPerInterval: 1,
+        interval: 1000,
+        content: 0,
+        lastDrip: 0,
+        drainedUntil: 0,
+
+        /**
+         * Attempt to remove the requested number of tokens and return immediately.
+         * If the bucket (and any parent buckets) contains enough tokens this will
+         * return true, otherwise false is returned.
+         * @param {Number} count The number of tokens to remove.
+         * @param {Boolean} True if the tokens were successfully removed, otherwise
+         *  false.
+         */
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            // Is this an infinite size bucket?
+            if (!this.bucketSize) {
+                return true;
+            }
+
+            // Make sure the bucket can hold the requested number of tokens
+            if (count > this.bucketSize) {
+                return false;
+            }
+
+            // Drip new tokens into this bucket
+            this.drip();
+
+            // If we don't have enough tokens in this bucket, return false
+            if (count > this.content) {
+                return false;
+            }
+
+            // Remove the requested tokens from this bucket and return
+            this.content -= count;
+            return true;
+        },
+
+        /**
+         * Get the number of milliseconds until the requested number of
+         * tokens is available in the bucket.
+         * @param {Number} count The number of tokens.
+         * @returns {Number} Milliseconds until the tokens are available, 0
+         *  if they are available now or Infinity if they never will be.
+         */
+        getWaitTime: function getWaitTime(count) {
+            // Is this an infinite size bucket?
+            if (!this.bucketSize) {
+                return 0;
+            }
+
+            // Bucket can never hold the requested number of tokens
+            if (count > this.bucketSize) {
+                return Infinity;
+            }
+
+            this.drip();
+            if (count <= this.content) {
+                return 0;
+            }
+
+            var drainedMS = Math.max(this.drainedUntil - new Date(), 0);
+            return drainedMS + (count - this.content) * (this.interval / this.tokensPerInterval);
+        },
+
+        /**
+         * Add any new tokens to the bucket since the last drip.
+         * @returns {Boolean} True if new tokens were added, otherwise false.
+         */
+        drip: function drip() {
+            if (!this.tokensPerInterval) {
+                this.content = this.bucketSize;
+                return;
+            }
+
+            var now = +new Date();
+            // No tokens are added while bucket is drained
+            var deltaMS = Math.max(now - Math.max(this.lastDrip, this.drainedUntil), 0);
+            this.lastDrip = now;
+
+            var dripAmount = deltaMS * (this.tokensPerInterval / this.interval);
+            this.content = Math.min(this.content + dripAmount, this.bucketSize);
+        },
+
+        /**
+         * Remove all tokens from the bucket and stop dripping new tokens
+         * until given time.
+         * @param {Number} until Timestamp in milliseconds when bucket
+         *  starts to fill again. Defaults to current time.
+         */
+        drain: function drain(until) {
+            this.content = 0;
+            this.lastDrip = +new Date();
+            this.drainedUntil = Math.max(until || 0, this.drainedUntil);
+        },
+
+        /**
+         * Fill the bucket and cancel any drain.
+         */
+        fill: function fill() {
+            this.content = this.bucketSize;
+            this.lastDrip = +new Date();
+            this.drainedUntil = 0;
+        },
+
+        /**
+         * Return tokens to the bucket, e.g. when they were removed but 
+         * not used.
+         * @param {Number} count The number of tokens to add.
+         */
+        addTokens: function addTokens(count) {
+            this.drip();
+            this.content = Math.min(this.content + count, this.bucketSize);
+        }
+    };
+
+
+    /**
+     * Sliding window log with removal times and counts.
+     * 
+     * @param {Number} bucketSize Maximum number of tokens in a window.
+     * @param {Number} tokensPerInterval Number of tokens to drip over the 
+     *  course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     */
+    function SlidingWindowLog(bucketSize, tokensPerInterval, interval) {
+        TokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+        this.log = [];
+    }
+
+    SlidingWindowLog.prototype = extend(Object.create(TokenBucket.prototype), {
+        constructor: SlidingWindowLog,
+
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            var removed = TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            if(removed && this.bucketSize && this.tokensPerInterval) {
+                this.log.push({ time: +new Date(), count: count });
+            }
+            return removed;
+        },
+
+        getWaitTime: function getWaitTime(count) {
+            if(!this.bucketSize) {
+                return 0;
+            }
+            if(count > this.bucketSize) {
+                return Infinity;
+            }
+
+            var now = +new Date();
+            var drainedMS = Math.max(this.drainedUntil - now, 0);
+            this.drip();
+
+            // Wait until enough logged tokens leave the window
+            var lacking = count - (this.bucketSize - getLogged(this.log));
+            for(var i = 0; i < this.log.length && lacking > 0; i++) {
+                lacking -= this.log[i].count;
+                if(lacking <= 0) {
+                    return Math.max(this.log[i].time + getWindow(this) - now, drainedMS);
+                }
+            }
+            return drainedMS;
+        },
+
+        drip: function drip() {
+            if(!this.tokensPerInterval) {
+                this.content = this.bucketSize;
+                return;
+            }
+
+            var now = +new Date();
+            var windowStart = now - getWindow(this);
+            while(this.log.length && this.log[0].time <= windowStart) {
+                this.log.shift();
+            }
+            this.content = now < this.drainedUntil ? 0 : Math.max(this.bucketSize - getLogged(this.log), 0);
+        },
+
+        drain: function drain(until) {
+            this.drainedUntil = Math.max(until || +new Date(), this.drainedUntil);
+            this.content = 0;
+        },
+
+        fill: function fill() {
+            this.log = [];
+            this.drainedUntil = 0;
+            this.content = this.bucketSize;
+        },
+
+        addTokens: function addTokens(count) {
+            // Forget the latest removals
+            while(count > 0 && this.log.length) {
+                var entry = this.log[this.log.length - 1];
+                var removed = Math.min(entry.count, count);
+                entry.count -= removed;
+                count -= removed;
+                if(!entry.count) {
+                    this.log.pop();
+                }
+            }
+            this.drip();
+        }
+    });
+
+
+    /**
+     * Get number of tokens in the log.
+     * 
+     * @param {Array} log Logged removals
+     * @return {Number} Number of tokens
+     */
+    function getLogged(log) {
+        var count = 0;
+        forEach(log, function(entry) {
+            count += entry.count;
+        });
+        return count;
+    }
+
+
+    /**
+     * Sliding window counter with counts of current and previous window.
+     * 
+     * @param {Number} bucketSize Maximum number of tokens in a window.
+     * @param {Number} tokensPerInterval Number of tokens to drip over the 
+     *  course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     */
+    function SlidingWindowCounter(bucketSize, tokensPerInterval, interval) {
+        TokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+        this.windowStart = 0;
+        this.current = 0;
+        this.previous = 0;
+        this.count = 0;
+    }
+
+    SlidingWindowCounter.prototype = extend(Object.create(TokenBucket.prototype), {
+        constructor: SlidingWindowCounter,
+
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            var removed = TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            if(removed) {
+                this.current += count;
+            }
+            return removed;
+        },
+
+        getWaitTime: function getWaitTime(count) {
+            if(!this.bucketSize) {
+                return 0;
+            }
+            if(count > this.bucketSize) {
+                return Infinity;
+            }
+
+            var now = +new Date();
+            var drainedMS = Math.max(this.drainedUntil - now, 0);
+            this.drip();
+            if(count <= this.bucketSize - this.count) {
+                return drainedMS;
+            }
+
+            // Solve when the weighted count drops enough
+            var window = getWindow(this);
+            var allowed = this.bucketSize - count;
+            var time;
+            if(this.current <= allowed) {
+                time = this.windowStart + window * (1 - (allowed - this.current) / this.previous);
+            }
+            else {
+                time = this.windowStart + window * (2 - allowed / this.current);
+            }
+            return Math.max(Math.ceil(time - now), drainedMS);
+        },
+
+        drip: function drip() {
+            if(!this.tokensPerInterval) {
+                this.content = this.bucketSize;
+                return;
+            }
+
+            var now = +new Date();
+            var window = getWindow(this);
+            var windowStart = Math.floor(now / window) * window;
+            if(windowStart !== this.windowStart) {
+                this.previous = windowStart - this.windowStart === window ? this.current : 0;
+                this.current = 0;
+                this.windowStart = windowStart;
+            }
+
+            var weight = 1 - (now - windowStart) / window;
+            this.count = this.previous * weight + this.current;
+            this.content = now < this.drainedUntil ? 0 : Math.max(this.bucketSize - this.count, 0);
+        },
+
+        drain: function drain(until) {
+            this.drainedUntil = Math.max(until || +new Date(), this.drainedUntil);
+            this.content = 0;
+        },
+
+        fill: function fill() {
+            this.current = 0;
+            this.previous = 0;
+            this.drainedUntil = 0;
+            this.content = this.bucketSize;
+        },
+
+        addTokens: function addTokens(count) {
+            this.current = Math.max(this.current - count, 0);
+            this.drip();
+        }
+    });
+
+
+    /**
+     * Fixed window with count of current window.
+     * 
+     * @param {Number} bucketSize Maximum number of tokens in a window.
+     * @param {Number} tokensPerInterval Number of tokens to drip over the 
+     *  course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     */
+    function FixedWindow(bucketSize, tokensPerInterval, interval) {
+        TokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+        this.windowStart = 0;
+        this.used = 0;
+    }
+
+    FixedWindow.prototype = extend(Object.create(TokenBucket.prototype), {
+        constructor: FixedWindow,
+
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            var removed = TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            if(removed) {
+                this.used += count;
+            }
+            return removed;
+        },
+
+        getWaitTime: function getWaitTime(count) {
+            if(!this.bucketSize) {
+                return 0;
+            }
+            if(count > this.bucketSize) {
+                return Infinity;
+            }
+
+            var now = +new Date();
+            var drainedMS = Math.max(this.drainedUntil - now, 0);
+            this.drip();
+            if(count <= this.bucketSize - this.used) {
+                return drainedMS;
+            }
+            return Math.max(this.windowStart + getWindow(this) - now, drainedMS);
+        },
+
+        drip: function drip() {
+            if(!this.tokensPerInterval) {
+                this.content = this.bucketSize;
+                return;
+            }
+
+            var now = +new Date();
+            var window = getWindow(this);
+            var windowStart = Math.floor(now / window) * window;
+            if(windowStart !== this.windowStart) {
+                this.used = 0;
+                this.windowStart = windowStart;
+            }
+            this.content = now < this.drainedUntil ? 0 : Math.max(this.bucketSize - this.used, 0);
+        },
+
+        drain: function drain(until) {
+            this.drainedUntil = Math.max(until || +new Date(), this.drainedUntil);
+            this.content = 0;
+        },
+
+        fill: function fill() {
+            this.used = 0;
+            this.drainedUntil = 0;
+            this.content = this.bucketSize;
+        },
+
+        addTokens: function addTokens(count) {
+            this.used = Math.max(this.used - count, 0);
+            this.drip();
+        }
+    });
+
+
+    /**
+     * Leaky bucket with time of the next allowed removal.
+     * 
+     * @param {Number} bucketSize Maximum number of tokens to remove at once.
+     * @param {Number} tokensPerInterval Number of tokens to drip over the 
+     *  course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     */
+    function LeakyBucket(bucketSize, tokensPerInterval, interval) {
+        TokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+        this.nextRemoval = 0;
+    }
+
+    LeakyBucket.prototype = extend(Object.create(TokenBucket.prototype), {
+        constructor: LeakyBucket,
+
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            var removed = TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            if(removed && this.bucketSize && this.tokensPerInterval) {
+                this.nextRemoval = +new Date() + count * (this.interval / this.tokensPerInterval);
+                this.content = 0;
+            }
+            return removed;
+        },
+
+        getWaitTime: function getWaitTime(count) {
+            if(!this.bucketSize) {
+                return 0;
+            }
+            if(count > this.bucketSize) {
+                return Infinity;
+            }
+
+            return Math.max(this.nextRemoval - new Date(), this.drainedUntil - new Date(), 0);
+        },
+
+        drip: function drip() {
+            if(!this.tokensPerInterval) {
+                this.content = this.bucketSize;
+                return;
+            }
+            this.content = new Date() < Math.max(this.nextRemoval, this.drainedUntil) ? 0 : this.bucketSize;
+        },
+
+        drain: function drain(until) {
+            this.drainedUntil = Math.max(until || +new Date(), this.drainedUntil);
+            this.content = 0;
+        },
+
+        fill: function fill() {
+            this.nextRemoval = 0;
+            this.drainedUntil = 0;
+            this.content = this.bucketSize;
+        },
+
+        addTokens: function addTokens(count) {
+            this.nextRemoval = Math.max(this.nextRemoval - count * (this.interval / this.tokensPerInterval), 0);
+            this.drip();
+        }
+    });
+
+
+    /**
+     * Token bucket with state in a storage.
+     * 
+     * @param {String} name Name of the bucket, used in the storage key
+     * @param {Number} bucketSize Maximum number of tokens to hold in the bucket.
+     * @param {Number} tokensPerInterval Number of tokens to drip into the bucket
+     *  over the course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     * @param {Object} storage Object with `get(key)` and `set(key, value)` methods.
+     */
+    function PersistentTokenBucket(name, bucketSize, tokensPerInterval, interval, storage) {
+        TokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+        this.key = BUCKET_KEY_PREFIX + name;
+        this.storage = storage;
+        this.load();
+    }
+
+    PersistentTokenBucket.prototype = extend(Object.create(TokenBucket.prototype), {
+        constructor: PersistentTokenBucket,
+
+        /**
+         * Attempt to remove the requested number of tokens and save 
+         * the state.
+         * @param {Number} count The number of tokens to remove.
+         * @returns {Boolean} True if the tokens were removed.
+         */
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            var removed = TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            if(removed) {
+                this.save();
+            }
+            return removed;
+        },
+
+        /**
+         * Remove all tokens until given time and save the state.
+         * @param {Number} until Timestamp in milliseconds.
+         */
+        drain: function drain(until) {
+            TokenBucket.prototype.drain.call(this, until);
+            this.save();
+        },
+
+        /**
+         * Fill the bucket and save the state.
+         */
+        fill: function fill() {
+            TokenBucket.prototype.fill.call(this);
+            this.save();
+        },
+
+        /**
+         * Return tokens to the bucket and save the state.
+         * @param {Number} count The number of tokens to add.
+         */
+        addTokens: function addTokens(count) {
+            TokenBucket.prototype.addTokens.call(this, count);
+            this.save();
+        },
+
+        /**
+         * Read the state from the storage. Missing, corrupted or stale
+         * state is ignored, and the current state is kept.
+         */
+        load: function load() {
+            var state;
+            try {
+                state = this.storage.get(this.key);
+                if(isString(state)) {
+                    state = fromJson(state);
+                }
+            }
+            catch(error) {
+                return;
+            }
+
+            // State from the future was saved with a different clock
+            if(!state || !isValidNumber(state.content) || !isValidNumber(state.lastDrip) || state.lastDrip > new Date()) {
+                return;
+            }
+
+            this.content = Math.max(Math.min(state.content, this.bucketSize), 0);
+            this.lastDrip = state.lastDrip;
+            // Drain of this bucket is kept even if it was not saved
+            if(isValidNumber(state.drainedUntil)) {
+                this.drainedUntil = Math.max(state.drainedUntil, this.drainedUntil);
+            }
+        },
+
+        /**
+         * Write the state to the storage.
+         */
+        save: function save() {
+            try {
+                this.storage.set(this.key, {
+                    content: this.content,
+                    lastDrip: this.lastDrip,
+                    drainedUntil: this.drainedUntil
+                });
+            }
+            catch(error) {
+                // State is kept only in memory
+            }
+        },
+
+        /**
+         * Remove the state from the storage, when the bucket is dropped.
+         * Storage without `remove(key)` method keeps the state.
+         */
+        discard: function discard() {
+            removeItem(this.storage, this.key);
+        }
+    });
+
+
+    /**
+     * Check that value is a finite number.
+     * 
+     * @param {*} value Value to check
+     * @return {Boolean}
+     */
+    function isValidNumber(value) {
+        return isNumber(value) && isFinite(value);
+    }
+
+
+    /**
+     * Remove item from the storage, if it supports removing.
+     * 
+     * @param {Object} storage Storage
+     * @param {String} key Storage key
+     */
+    function removeItem(storage, key) {
+        try {
+            if(isFunction(storage.remove)) {
+                storage.remove(key);
+            }
+        }
+        catch(error) {
+            // Item stays in the storage
+        }
+    }
+
+
+    /**
+     * Quota with count of the current window.
+     * 
+     * @param {String} name Name of the quota, used in the storage key
+     * @param {Number} limit Number of tokens in a window
+     * @param {Number} interval The window length in milliseconds.
+     * @param {Object} [storage] Object with `get(key)` and `set(key, value)` methods.
+     */
+    function Quota(name, limit, interval, storage) {
+        this.name = name;
+        this.limit = limit;
+        this.interval = interval;
+        this.used = 0;
+        this.windowStart = 0;
+        this.key = QUOTA_KEY_PREFIX + name;
+        this.storage = storage || null;
+        this.load();
+    }
+
+    Quota.prototype = {
+        constructor: Quota,
+
+        /**
+         * Start new window, if the current one has ended.
+         */
+        refresh: function refresh() {
+            var now = +new Date();
+            var windowStart = Math.floor(now / this.interval) * this.interval;
+            if(windowStart !== this.windowStart) {
+                this.used = 0;
+                this.windowStart = windowStart;
+            }
+        },
+
+        /**
+         * Get tokens left in the current window.
+         * @returns {Number} Number of tokens
+         */
+        getRemaining: function getRemaining() {
+            this.refresh();
+            return Math.max(this.limit - this.used, 0);
+        },
+
+        /**
+         * Get time when the current window ends.
+         * @returns {Number} Timestamp in milliseconds
+         */
+        getResetTime: function getResetTime() {
+            this.refresh();
+            return this.windowStart + this.interval;
+        },
+
+        /**
+         * Attempt to use the requested number of tokens and save the 
+         * state.
+         * @param {Number} count The number of tokens to use.
+         * @returns {Boolean} True if the tokens were used.
+         */
+        tryUse: function tryUse(count) {
+            if(this.getRemaining() < count) {
+                return false;
+            }
+            this.used += count;
+            this.save();
+            return true;
+        },
+
+        /**
+         * Make all tokens of the current window available and save 
+         * the state.
+         */
+        reset: function reset() {
+            this.refresh();
+            this.used = 0;
+            this.save();
+        },
+
+        /**
+         * Read the state from the storage. State of other windows is 
+         * ignored.
+         */
+        load: function load() {
+            var state;
+            try {
+                state = this.storage && this.storage.get(this.key);
+                if(isString(state)) {
+                    state = fromJson(state);
+                }
+            }
+            catch(error) {
+                return;
+            }
+
+            this.refresh();
+            if(state && state.windowStart === this.windowStart && isNumber(state.used) && state.used >= 0) {
+                this.used = state.used;
+            }
+        },
+
+        /**
+         * Write the state to the storage.
+         */
+        save: function save() {
+            if(!this.storage) {
+                return;
+            }
+
+            try {
+                this.storage.set(this.key, {
+                    used: this.used,
+                    windowStart: this.windowStart
+                });
+            }
+            catch(error) {
+                // State is kept only in memory
+            }
+        }
+    };
+
+
+    /**
+     * Token bucket shared between tabs.
+     * 
+     * @param {String} name Name of the bucket, same in all tabs
+     * @param {Number} bucketSize Maximum number of tokens to hold in the bucket.
+     * @param {Number} tokensPerInterval Number of tokens to drip into the bucket
+     *  over the course of one interval.
+     * @param {Number} interval The interval length in milliseconds.
+     * @param {Object} tabSync Storage and channel, see `createTabSync`.
+     */
+    function SharedTokenBucket(name, bucketSize, tokensPerInterval, interval, tabSync) {
+        PersistentTokenBucket.call(this, name, bucketSize, tokensPerInterval, interval, tabSync.storage);
+        this.channel = tabSync.channel;
+        this.owner = Math.random().toString(36).slice(2);
+        this.lockedUntil = 0;
+    }
+
+    SharedTokenBucket.prototype = extend(Object.create(PersistentTokenBucket.prototype), {
+        constructor: SharedTokenBucket,
+
+        /**
+         * Attempt to remove the requested number of tokens from the 
+         * shared state.
+         * @param {Number} count The number of tokens to remove.
+         * @returns {Boolean} True if the tokens were removed.
+         */
+        tryRemoveTokens: function tryRemoveTokens(count) {
+            return this.update(function() {
+                return TokenBucket.prototype.tryRemoveTokens.call(this, count);
+            });
+        },
+
+        /**
+         * Get the number of milliseconds until the requested number of 
+         * tokens is available, or the lock is released.
+         * @param {Number} count The number of tokens.
+         * @returns {Number} Milliseconds until the tokens are available.
+         */
+        getWaitTime: function getWaitTime(count) {
+            var waitTime = TokenBucket.prototype.getWaitTime.call(this, count);
+            return Math.max(waitTime, this.lockedUntil - new Date());
+        },
+
+        /**
+         * Read the shared state and add any new tokens since the last 
+         * drip.
+         */
+        drip: function drip() {
+            this.load();
+            TokenBucket.prototype.drip.call(this);
+        },
+
+        /**
+         * Remove all tokens until given time in all tabs. The drain is 
+         * applied to this tab even if the lock cannot be taken.
+         * @param {Number} until Timestamp in milliseconds.
+         */
+        drain: function drain(until) {
+            var drained = this.update(function() {
+                TokenBucket.prototype.drain.call(this, until);
+                return true;
+            });
+            if(!drained) {
+                TokenBucket.prototype.drain.call(this, until);
+            }
+        },
+
+        /**
+         * Fill the bucket in all tabs.
+         */
+        fill: function fill() {
+            var filled = this.update(function() {
+                TokenBucket.prototype.fill.call(this);
+                return true;
+            });
+            if(filled) {
+                this.notify();
+            }
+        },
+
+        /**
+         * Return tokens to the bucket in all tabs.
+         * @param {Number} count The number of tokens to add.
+         */
+        addTokens: function addTokens(count) {
+            var added = this.update(function() {
+                TokenBucket.prototype.addTokens.call(this, count);
+                return true;
+            });
+            if(added) {
+                this.notify();
+            }
+        },
+
+        /**
+         * Run function while holding the lock, and save the state if 
+         * function returns true.
+         * @param {Function} fn Function to change the state
+         * @returns {Boolean} Return value of the function, false if 
+         *  the lock could not be taken.
+         */
+        update: function update(fn) {
+            if(!this.lock()) {
+                this.lockedUntil = +new Date() + LOCK_TIMEOUT;
+                return false;
+            }
+
+            try {
+                var changed = fn.call(this);
+                if(changed) {
+                    this.save();
+                }
+                return changed;
+            }
+            finally {
+                this.unlock();
+            }
+        },
+
+        /**
+         * Take the lock with Lamport's fast mutual exclusion algorithm.
+         * Instead of waiting on contention, taking the lock fails. The 
+         * lock expires, so a closed tab cannot hold it forever.
+         * @returns {Boolean} True if the lock was taken.
+         */
+        lock: function lock() {
+            var now = +new Date();
+            this.storage.set(this.key + ':x', this.owner);
+
+            var holder = this.storage.get(this.key + ':y');
+            if(holder && holder.owner !== this.owner && holder.expires > now) {
+                return false;
+            }
+
+            this.storage.set(this.key + ':y', { owner: this.owner, expires: now + LOCK_TIMEOUT });
+            // Another tab has started to take the lock at the same time
+            return this.storage.get(this.key + ':x') === this.owner;
+        },
+
+        /**
+         * Release the lock, if this tab holds it.
+         */
+        unlock: function unlock() {
+            var holder = this.storage.get(this.key + ':y');
+            if(holder && holder.owner === this.owner) {
+                this.storage.remove(this.key + ':y');
+            }
+        },
+
+        /**
+         * Remove the shared state and the lock from the storage, when 
+         * the bucket is dropped. Other tabs start from a full bucket.
+         */
+        discard: function discard() {
+            PersistentTokenBucket.prototype.discard.call(this);
+            this.storage.remove(this.key + ':x');
+        },
+
+        /**
+         * Tell other tabs that tokens were added.
+         */
+        notify: function notify() {
+            if(this.channel) {
+                this.channel.postMessage({ type: 'tokensAdded', key: this.key });
+            }
+        }
+    });
+
+
+    /**
+     * Create storage on top of web storage, or use custom storage.
+     * 
+     * @param {String|Object} option 'localStorage', 'sessionStorage' or
+     *                  custom storage object with `get(key)` and 
+     *                  `set(key, value)` methods.
+     * @param {Object} [win] Window of the web storage, default is the
+     *                  global window.
+     * @return {Object|null} Storage or null if web storage cannot be used
+     */
+    function createStorage(option, win) {
+        if(isObject(option)) {
+            return option;
+        }
+
+        var webStorage;
+        try {
+            // Accessing and writing storage throws when it is disabled
+            webStorage = (win || root)[option];
+            webStorage.setItem(STORAGE_TEST_KEY, '1');
+            webStorage.removeItem(STORAGE_TEST_KEY);
+        }
+        catch(error) {
+            return null;
+        }
+
+        return {
+            get: function(key) {
+                try {
+                    return fromJson(webStorage.getItem(key)) || undefined;
+                }
+                catch(error) {
+                    return undefined;
+                }
+            },
+            set: function(key, value) {
+                try {
+                    webStorage.setItem(key, toJson(value));
+                }
+                catch(error) {
+                    // Storage is full, value is not saved
+                }
+            },
+            remove: function(key) {
+                webStorage.removeItem(key);
+            }
+        };
+    }
+
+
+    /**
+     * Create storage and channel to coordinate shared token buckets 
+     * between browser tabs of the same origin. `storage` holds the bucket
+     * state in `localStorage` and `channel` notifies other tabs through 
+     * `BroadcastChannel`, or through `localStorage` events if 
+     * `BroadcastChannel` is not supported. Either one is null if the 
+     * browser does not support it.
+     * 
+     * @param {Object} [win] Window of the tab, default is the global window.
+     * @return {Object} `storage` with `get(key)`, `set(key, value)` and 
+     *                  `remove(key)` methods, and `channel` with 
+     *                  `postMessage(message)` and `onMessage(listener)`
+     *                  methods delivering messages only to other tabs.
+     */
+    function createTabSync(win) {
+        win = win || root;
+        var storage = createStorage('localStorage', win);
+        return {
+            storage: storage,
+            channel: createChannel(win, storage)
+        };
+    }
+
+
+    /**
+     * Create channel on top of `BroadcastChannel`, or `localStorage` 
+     * events if it is not supported.
+     * 
+     * @param {Object} win Window of the tab
+     * @param {Object|null} storage Storage on top of `localStorage`
+     * @return {Object|null} Channel or null if neither is supported
+     */
+    function createChannel(win, storage) {
+        var listeners = [];
+        var postMessage;
+
+        function notify(message) {
+            forEach(listeners, function(listener) {
+                listener(message);
+            });
+        }
+
+        if(win.BroadcastChannel) {
+            var broadcastChannel = new win.BroadcastChannel(KEY_PREFIX + 'channel');
+            broadcastChannel.onmessage = function(event) {
+                notify(event.data);
+            };
+            postMessage = function(message) {
+                broadcastChannel.postMessage(message);
+            };
+        }
+        else if(storage && win.addEventListener) {
+            // Storage event is fired only when value changes, so each
+            // message gets an unique id
+            var messageKey = KEY_PREFIX + 'message';
+            win.addEventListener('storage', function(event) {
+                var data = event.key === messageKey && storage.get(messageKey);
+                if(data) {
+                    notify(data.message);
+                }
+            });
+            postMessage = function(message) {
+                storage.set(messageKey, { id: Math.random(), message: message });
+            };
+        }
+        else {
+            return null;
+        }
+
+        return {
+            postMessage: postMessage,
+            onMessage: function(listener) {
+                listeners.push(listener);
+            }
+        };
+    }
+
+
+    /**
+     * Fill in the environment of a limiter. Defaults use native promises,
+     * timers of the window and the console, so the limiter works without a
+     * framework. Adapters give their own, e.g. `$q` and `$timeout`.
+     * 
+     * @param {Object} [environment] Functions and objects to override:
+     *                  `q` with `defer()`, `when(value)` and 
+     *                  `reject(reason)` to create promises.
+     *                  `setTimer(fn, delay, invokeApply)` to call function
+     *                  after a delay, returning promise for its return 
+     *                  value, and `cancelTimer(promise)` to cancel it. 
+     *                  `invokeApply` is false for rules with `skipDigest`.
+     *                  `window` for web storage, `fetch`, 
+     *                  `XMLHttpRequest`, tab channel and resolving URLs.
+     *                  `handleError(error)` for errors thrown by event 
+     *                  listeners, and `log(message)` for observe-only mode.
+     *                  `broadcast(type, event)` called with each event.
+     *                  `apply(fn)` to release queues, when another tab 
+     *                  adds tokens to a shared bucket.
+     *                  `getStrategy(name)` to get class of a strategy.
+     *                  `createStorage(option)` to create storage for 
+     *                  `persist` option, and `getTabSync()` to get storage
+     *                  and channel of shared buckets.
+     *                  `serializeParams(params, request)` to build query of 
+     *                  the URL for matching.
+     *                  `isMerged(request)` to tell explain that request 
+     *                  would be merged to an identical one, and 
+     *                  `onSettled(request, outcome, failed)` called when the
+     *                  request gets its final response or rejection.
+     * @return {Object} Environment
+     */
+    function getEnvironment(environment) {
+        var env = extend({
+            window: root,
+            handleError: function(error) {
+                console.error(error);
+            },
+            log: function(message) {
+                console.info(message);
+            },
+            broadcast: noop,
+            apply: function(fn) {
+                fn();
+            },
+            getStrategy: getStrategy,
+            createStorage: function(option) {
+                return createStorage(option, env.window);
+            },
+            getTabSync: function() {
+                return createTabSync(env.window);
+            },
+            serializeParams: serializeParams,
+            isMerged: function() {
+                return false;
+            },
+            onSettled: noop
+        }, environment);
+
+        if(!env.q) {
+            env.q = createPromises(env.window);
+        }
+        if(!env.setTimer) {
+            env.setTimer = function(fn, delay) {
+                var deferred = env.q.defer();
+                deferred.promise.$$timeoutId = env.window.setTimeout(function() {
+                    try {
+                        deferred.resolve(fn());
+                    }
+                    catch(error) {
+                        deferred.reject(error);
+                    }
+                }, delay);
+                return deferred.promise;
+            };
+            env.cancelTimer = function(promise) {
+                if(promise && promise.$$timeoutId !== undefined) {
+                    env.window.clearTimeout(promise.$$timeoutId);
+                }
+            };
+        }
+        return env;
+    }
+
+
+    /**
+     * Create `q` of the environment on top of native promises.
+     * 
+     * @param {Object} win Window with `Promise`
+     * @return {Object} Object with `defer`, `when` and `reject` methods
+     */
+    function createPromises(win) {
+        return {
+            defer: function() {
+                var deferred = {};
+                deferred.promise = new win.Promise(function(resolve, reject) {
+                    deferred.resolve = resolve;
+                    deferred.reject = reject;
+                });
+                return deferred;
+            },
+            when: function(value) {
+                return win.Promise.resolve(value);
+            },
+            reject: function(reason) {
+                return win.Promise.reject(reason);
+            }
+        };
+    }
+
+
+    /**
+     * Serialize params to URL query like `$httpParamSerializer`. Keys are
+     * sorted, array values repeat the key and objects are serialized as 
+     * JSON.
+     * 
+     * @param {Object} [params] Params
+     * @return {String} Query without '?'
+     */
+    function serializeParams(params) {
+        var parts = [];
+        forEach(Object.keys(params || {}).sort(), function(key) {
+            var value = params[key];
+            if(value === null || value === undefined || isFunction(value)) {
+                return;
+            }
+
+            forEach(isArray(value) ? value : [value], function(item) {
+                if(item instanceof Date) {
+                    item = item.toISOString();
+                }
+                else if(isObject(item)) {
+                    item = toJson(item);
+                }
+                parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(item));
+            });
+        });
+        return parts.join('&');
+    }
+
+
+    /**
+     * Get host and path of URL without a document to resolve it. Relative
+     * URL has no host.
+     * 
+     * @param {String} url URL
+     * @return {Object} `host` and `path`
+     */
+    function parseUrl(url) {
+        var match = URL_PATTERN.exec(url);
+        return {
+            host: match[1] || '',
+            path: match[2] || '/'
+        };
+    }
+
+
+    /**
+     * Create rate limiter for the rules. Limiter takes tokens for plain 
+     * request objects from the buckets of their rules, queues them until 
+     * they get the tokens, adapts to the responses and retries them with 
+     * the policy of the first matching rule. Rules are created with 
+     * `createRule`, and they can be changed at runtime.
+     * 
+     * @param {Object} settings `rules` to limit with, and `observeOnly`
+     *                  flag, which is read on each request and can be 
+     *                  changed at runtime.
+     * @param {Object} [environment] Environment, see `getEnvironment`
+     * @return {Object} Limiter
+     */
+    function createRateLimiter(settings, environment) {
+        // Reset header values above this are Unix timestamps instead of delays
+        var UNIX_TIMESTAMP_THRESHOLD = 365 * 24 * 60 * 60;
+        // Methods which can be safely retried on server errors
+        var IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+        // Number of wait times kept for statistics per rule
+        var WAIT_TIME_SAMPLES = 100;
+        // Milliseconds between dropping idle keyed buckets
+        var KEY_SWEEP_INTERVAL = 10000;
+
+        // Queued requests of all rules in arrival order
+        var waiting = [];
+        // Is all limited traffic paused
+        var paused = false;
+        // Event listeners by event type
+        var listeners = {};
+        // Storage and channel of shared buckets, loaded when first needed
+        var tabSync;
+        // Promises, timers, window and hooks of the adapter
+        var env = getEnvironment(environment);
+        var q = env.q;
+        var setTimer = env.setTimer;
+        var cancelTimer = env.cancelTimer;
+        // Link element to resolve request URLs, if there is a document
+        var urlResolver = env.window.document && env.window.document.createElement('a');
+        // Fetch of the browser, kept even if window.fetch is replaced with
+        // the limited one
+        var nativeFetch;
+
+        // Create token buckets for each configured rule
+        var limiters = [];
+        forEach(settings.rules, function(rule) {
+            limiters.push(createLimiter(rule));
+        });
+
+        return {
+            addLimiter: addLimiter,
+            updateLimiter: updateLimiter,
+            removeLimiter: removeLimiter,
+            hasLimiters: hasLimiters,
+            pause: pause,
+            resume: resume,
+            reset: reset,
+            on: on,
+            getStats: getStats,
+            getRate: getRate,
+            getCircuitState: getCircuitState,
+            explainRequest: explainRequest,
+            getRuleBucket: getRuleBucket,
+            getMatchingRule: getMatchingRule,
+            limitRequest: limitRequest,
+            handleResponse: handleResponse,
+            retryResponse: retryResponse,
+            limitCall: limitCall,
+            limitFetch: limitFetch,
+            createXHR: createXHR
+        };
+
+
+        /**
+         * Check if there are rules to limit with.
+         * 
+         * @return {Boolean}
+         */
+        function hasLimiters() {
+            return limiters.length > 0;
+        }
+
+
+        /**
+         * Create limiter with token bucket for the rule.
+         * 
+         * @param {Object} rule Rule configuration
+         * @return {Object} Limiter
+         */
+        function createLimiter(rule) {
+            var limiter = {
+                bucket: createBucket(rule),
+                keyedBuckets: Object.create(null),
+                keyCount: 0,
+                lastKeySweep: 0,
+                strategy: rule.strategy,
+                shared: !!rule.shared,
+                persist: rule.persist,
+                paused: false,
+                inFlight: 0,
+                queue: [],
+                timer: undefined,
+                stats: {
+                    totalDelayed: 0,
+                    tooManyRequests: 0,
+                    waitTimes: []
+                }
+            };
+            configureLimiter(limiter, rule);
+            return limiter;
+        }
+
+
+        /**
+         * Create token bucket for the rule. Shared rule gets a bucket shared
+         * with other tabs and persisted rule a bucket restored from the 
+         * storage, if the browser supports it.
+         * 
+         * @param {Object} rule Rule configuration
+         * @param {String} [key] Key of the bucket, if rule has keys
+         * @return {Object} Token bucket
+         */
+        function createBucket(rule, key) {
+            var name = key === undefined ? rule.name : rule.name + ':' + key;
+            var sync = rule.shared && getTabSync();
+            if(sync && sync.storage) {
+                return new SharedTokenBucket(name, rule.bucketSize, rule.tokensPerInterval, rule.tokenInterval, sync);
+            }
+
+            var storage = rule.persist && env.createStorage(rule.persist);
+            if(storage) {
+                return new PersistentTokenBucket(name, rule.bucketSize, rule.tokensPerInterval, rule.tokenInterval, storage);
+            }
+
+            var Strategy = env.getStrategy(rule.strategy || 'token-bucket');
+            return new Strategy(rule.bucketSize, rule.tokensPerInterval, rule.tokenInterval);
+        }
+
+
+        /**
+         * Get storage and channel for shared buckets. Queues are released 
+         * when another tab adds tokens to a shared bucket.
+         * 
+         * @return {Object} Storage and channel, see `createTabSync`
+         */
+        function getTabSync() {
+            if(!tabSync) {
+                tabSync = env.getTabSync();
+                if(tabSync.channel) {
+                    tabSync.channel.onMessage(function() {
+                        if(waiting.length) {
+                            env.apply(releaseQueues);
+                        }
+                    });
+                }
+            }
+            return tabSync;
+        }
+
+
+        /**
+         * Apply rule configuration to the limiter. Tokens already in the 
+         * bucket are kept, as long as they fit to the bucket.
+         * 
+         * @param {Object} limiter Limiter to configure
+         * @param {Object} rule Rule configuration
+         */
+        function configureLimiter(limiter, rule) {
+            extend(limiter, {
+                name: rule.name,
+                matcher: compileMatcher(rule.match, !!rule.literal),
+                retryInterval: rule.retryInterval,
+                maxRetries: isNaN(rule.maxRetries) ? Infinity : rule.maxRetries,
+                backoff: rule.backoff || 'fixed',
+                maxRetryInterval: isNaN(rule.maxRetryInterval) ? Infinity : rule.maxRetryInterval,
+                jitter: rule.jitter || 'none',
+                retryStatuses: rule.retryStatuses || [429],
+                retryIdempotentStatuses: rule.retryIdempotentStatuses || [],
+                cost: rule.cost === undefined ? 1 : rule.cost,
+                maxConcurrent: isNaN(rule.maxConcurrent) ? Infinity : rule.maxConcurrent,
+                keyPattern: isString(rule.key) ? compileKeyTemplate(rule.key) : undefined,
+                maxKeys: isNaN(rule.maxKeys) ? Infinity : rule.maxKeys,
+                dedupe: rule.dedupe === true ? getRequestIdentity : rule.dedupe || null,
+                skipDigest: !!rule.skipDigest,
+                maxQueueLength: isNaN(rule.maxQueueLength) ? Infinity : rule.maxQueueLength,
+                queueOverflow: rule.queueOverflow || 'reject',
+                maxWait: isNaN(rule.maxWait) ? Infinity : rule.maxWait,
+                waitOverflow: rule.waitOverflow || 'reject',
+                adaptive: !!rule.adaptive,
+                tokensPerInterval: rule.tokensPerInterval,
+                minTokensPerInterval: isNaN(rule.minTokensPerInterval) || rule.minTokensPerInterval === null ?
+                    rule.tokensPerInterval / 10 : rule.minTokensPerInterval,
+                maxTokensPerInterval: isNaN(rule.maxTokensPerInterval) || rule.maxTokensPerInterval === null ?
+                    rule.tokensPerInterval : rule.maxTokensPerInterval,
+                rateDecrease: rule.rateDecrease || 0.5,
+                rateIncrease: isNaN(rule.rateIncrease) ? 1 : rule.rateIncrease,
+                rateIncreaseAfter: rule.rateIncreaseAfter || 10,
+                successes: 0,
+                syncRemaining: !!rule.syncRemaining
+            });
+
+            // Buckets are replaced if their state is kept elsewhere or keys
+            // change
+            var shared = !!rule.shared;
+            if(limiter.strategy !== rule.strategy || limiter.shared !== shared || limiter.persist !== rule.persist) {
+                limiter.bucket = createBucket(rule);
+                limiter.strategy = rule.strategy;
+                limiter.shared = shared;
+                limiter.persist = rule.persist;
+                clearKeys(limiter);
+            }
+            if(limiter.key !== rule.key) {
+                limiter.key = rule.key;
+                clearKeys(limiter);
+            }
+            limiter.config = rule;
+            limiter.quotas = createQuotas(limiter, rule);
+            limiter.circuitBreaker = rule.circuitBreaker || null;
+            if(!limiter.circuit || !limiter.circuitBreaker) {
+                closeCircuit(limiter);
+            }
+
+            forEach(getAllBuckets(limiter), function(bucket) {
+                // Drip with the old rate before changing it
+                bucket.drip();
+                bucket.bucketSize = rule.bucketSize;
+                bucket.tokensPerInterval = rule.tokensPerInterval;
+                bucket.interval = rule.tokenInterval;
+                bucket.content = Math.min(bucket.content, rule.bucketSize);
+            });
+        }
+
+
+        /**
+         * Create quotas of the rule. Quotas of the limiter are kept, if 
+         * they did not change, so their counts survive rule updates.
+         * 
+         * @param {Object} limiter Limiter to configure
+         * @param {Object} rule Rule configuration
+         * @return {Array} Quotas
+         */
+        function createQuotas(limiter, rule) {
+            return (rule.quotas || []).map(function(option) {
+                var persist = option.persist || rule.persist;
+                var existing = (limiter.quotas || []).filter(function(quota) {
+                    return quota.option.name === option.name && quota.option.limit === option.limit &&
+                        quota.option.per === option.per && quota.persist === persist;
+                });
+                if(existing.length) {
+                    return existing[0];
+                }
+
+                var storage = persist && env.createStorage(persist);
+                var quota = new Quota(rule.name + ':' + option.name, option.limit, option.per, storage);
+                quota.option = option;
+                quota.persist = persist;
+                return quota;
+            });
+        }
+
+
+        /**
+         * Compile path template of the key to regular expression. `:param`
+         * matches one path segment and `*` the rest of the path. Only the
+         * `:param` parts are captured to the key.
+         * 
+         * @param {String} template Path template, e.g. '/api/projects/:id/*'
+         * @return {RegExp} Expression with groups for the key parts
+         */
+        function compileKeyTemplate(template) {
+            var source = template
+                .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/:\w+/g, '([^/?#]+)')
+                .replace(/\*/g, '[^?#]*');
+            return new RegExp('^' + source + '(?:[/?#]|$)');
+        }
+
+
+        /**
+         * Get key of the request for the rule.
+         * 
+         * @param {Object} request Request object
+         * @param {Object} rule Matching rule
+         * @return {String|undefined} Key or undefined if request has no key
+         */
+        function getRequestKey(request, rule) {
+            var key;
+            if(isFunction(rule.key)) {
+                key = rule.key(request);
+            }
+            else if(rule.keyPattern) {
+                // Match template to the path of the URL
+                var path = String(request.url).replace(/^([a-z][a-z0-9+.\-]*:)?\/\/[^\/]*/i, '');
+                var match = path.match(rule.keyPattern);
+                key = match ? match.slice(1).join('/') : undefined;
+            }
+            return key === undefined || key === null ? undefined : String(key);
+        }
+
+
+        /**
+         * Get bucket of the key, and create it if needed.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {String} [key] Key of the request
+         * @return {Object} Token bucket
+         */
+        function getBucket(rule, key) {
+            if(key === undefined) {
+                return rule.bucket;
+            }
+
+            var entry = rule.keyedBuckets[key];
+            if(!entry) {
+                sweepKeys(rule);
+                entry = rule.keyedBuckets[key] = { bucket: createBucket(rule.config, key) };
+                entry.bucket.tokensPerInterval = rule.tokensPerInterval;
+                rule.keyCount++;
+            }
+            entry.lastUsed = +new Date();
+            return entry.bucket;
+        }
+
+
+        /**
+         * Get buckets of the rule, including the buckets of keys.
+         * 
+         * @param {Object} rule Rule
+         * @return {Array} Token buckets
+         */
+        function getAllBuckets(rule) {
+            var buckets = [rule.bucket];
+            forEach(rule.keyedBuckets, function(entry) {
+                buckets.push(entry.bucket);
+            });
+            return buckets;
+        }
+
+
+        /**
+         * Drop buckets of all keys.
+         * 
+         * @param {Object} rule Rule
+         */
+        function clearKeys(rule) {
+            forEach(rule.keyedBuckets, function(entry, key) {
+                dropKey(rule, key);
+            });
+            rule.keyedBuckets = Object.create(null);
+            rule.keyCount = 0;
+        }
+
+
+        /**
+         * Drop bucket of the key. State of persisted and shared bucket is 
+         * removed from the storage, so the storage does not grow with keys.
+         * 
+         * @param {Object} rule Rule
+         * @param {String} key Key of the bucket
+         */
+        function dropKey(rule, key) {
+            var bucket = rule.keyedBuckets[key].bucket;
+            if(isFunction(bucket.discard)) {
+                bucket.discard();
+            }
+            delete rule.keyedBuckets[key];
+            rule.keyCount--;
+        }
+
+
+        /**
+         * Drop buckets of keys, which are full again, so dropping them 
+         * does not change limiting. If there are still too many keys, the
+         * least recently used are dropped. Buckets of queued requests are 
+         * kept. Idle buckets are looked for at most once per 
+         * KEY_SWEEP_INTERVAL, unless there are too many keys.
+         * 
+         * @param {Object} rule Rule
+         */
+        function sweepKeys(rule) {
+            var now = +new Date();
+            if(rule.keyCount < rule.maxKeys && now - rule.lastKeySweep < KEY_SWEEP_INTERVAL) {
+                return;
+            }
+            rule.lastKeySweep = now;
+
+            var queued = [];
+            forEach(rule.queue, function(waiter) {
+                forEach(waiter.claims, function(claim) {
+                    queued.push(claim.bucket);
+                });
+            });
+
+            forEach(rule.keyedBuckets, function(entry, key) {
+                entry.bucket.drip();
+                if(entry.bucket.content >= entry.bucket.bucketSize && queued.indexOf(entry.bucket) === -1) {
+                    dropKey(rule, key);
+                }
+            });
+
+            while(rule.keyCount >= rule.maxKeys) {
+                var oldest = getLeastRecentlyUsedKey(rule, queued);
+                if(oldest === undefined) {
+                    return;
+                }
+                dropKey(rule, oldest);
+            }
+        }
+
+
+        /**
+         * Find the key, whose bucket was used least recently.
+         * 
+         * @param {Object} rule Rule
+         * @param {Array} kept Buckets which cannot be dropped
+         * @return {String|undefined} Key or undefined if all are kept
+         */
+        function getLeastRecentlyUsedKey(rule, kept) {
+            var oldest;
+            forEach(rule.keyedBuckets, function(entry, key) {
+                if(kept.indexOf(entry.bucket) === -1 && (oldest === undefined || entry.lastUsed < rule.keyedBuckets[oldest].lastUsed)) {
+                    oldest = key;
+                }
+            });
+            return oldest;
+        }
+
+
+        /**
+         * Find limiter by rule name.
+         * 
+         * @param {String} name Rule name
+         * @return {Object} Limiter
+         * @throws {Error} Error is thrown if there is no such limiter.
+         */
+        function getLimiter(name) {
+            var limiter = findLimiter(name);
+            if(!limiter) {
+                throw new Error('No rate limiter rule named "' + name + '"');
+            }
+            return limiter;
+        }
+
+
+        /**
+         * Find limiter by rule name.
+         * 
+         * @param {String} name Rule name
+         * @return {Object|undefined} Limiter, undefined if not found.
+         */
+        function findLimiter(name) {
+            for(var i = 0; i < limiters.length; i++) {
+                if(limiters[i].name === name) {
+                    return limiters[i];
+                }
+            }
+            return undefined;
+        }
+
+
+        /**
+         * Add limiter for a new rule.
+         * 
+         * @param {Object} rule Rule configuration
+         */
+        function addLimiter(rule) {
+            limiters.push(createLimiter(rule));
+            reevaluateQueue();
+        }
+
+
+        /**
+         * Change configuration of the named limiter.
+         * 
+         * @param {String} name Rule name
+         * @param {Object} rule New rule configuration
+         */
+        function updateLimiter(name, rule) {
+            configureLimiter(getLimiter(name), rule);
+            reevaluateQueue();
+        }
+
+
+        /**
+         * Remove the named limiter. Requests waiting only for it are released.
+         * 
+         * @param {String} name Rule name
+         */
+        function removeLimiter(name) {
+            var limiter = getLimiter(name);
+            cancelTimer(limiter.timer);
+            cancelTimer(limiter.circuit.timer);
+            limiters.splice(limiters.indexOf(limiter), 1);
+            reevaluateQueue();
+        }
+
+
+        /**
+         * Hold all requests matching the named rule, or all rules if name is
+         * not given, until `resume` is called.
+         * 
+         * @param {String} [name] Rule name
+         */
+        function pause(name) {
+            if(name === undefined) {
+                paused = true;
+            }
+            else {
+                getLimiter(name).paused = true;
+            }
+        }
+
+
+        /**
+         * Resume requests paused with `pause`.
+         * 
+         * @param {String} [name] Rule name
+         */
+        function resume(name) {
+            if(name === undefined) {
+                paused = false;
+                forEach(limiters, function(limiter) {
+                    limiter.paused = false;
+                });
+            }
+            else {
+                getLimiter(name).paused = false;
+            }
+            releaseQueues();
+        }
+
+
+        /**
+         * Fill the buckets and quotas and close the circuit of the named 
+         * rule, or of all rules if name is not given.
+         * 
+         * @param {String} [name] Rule name
+         */
+        function reset(name) {
+            var resetLimiters = name === undefined ? limiters : [getLimiter(name)];
+            forEach(resetLimiters, function(limiter) {
+                forEach(getAllBuckets(limiter), function(bucket) {
+                    bucket.fill();
+                });
+                forEach(limiter.quotas, function(quota) {
+                    quota.reset();
+                    delete quota.$$exhaustedUntil;
+                });
+                if(limiter.circuit.state !== 'closed') {
+                    setCircuitState(limiter, 'closed');
+                }
+            });
+            releaseQueues();
+        }
+
+
+        /**
+         * Match queued requests to current rules again and rebuild the 
+         * queues in arrival order. Requests which do not match to any rule 
+         * anymore are released, and the ones which cannot be served with the 
+         * new configuration are rejected.
+         */
+        function reevaluateQueue() {
+            forEach(limiters, function(limiter) {
+                limiter.queue = [];
+            });
+
+            forEach(waiting.slice(), function(waiter) {
+                var claims = getClaims(waiter.request);
+                if(claims instanceof Error) {
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    cancelWaiterTimers(waiter);
+                    emit('dropped', { request: waiter.request, reason: 'cost', error: claims });
+                    waiter.deferred.reject(claims);
+                    return;
+                }
+
+                waiter.claims = claims;
+                forEach(claims, function(claim) {
+                    claim.rule.queue.push(waiter);
+                });
+                if(!claims.length) {
+                    releaseRequest(waiter);
+                }
+                else {
+                    watchWaitDeadline(waiter);
+                }
+            });
+
+            releaseQueues();
+        }
+
+
+        /**
+         * Add listener for limiter events; 'throttled', 'released', 
+         * 'retried', 'dropped' or 'bucketEmpty'.
+         * 
+         * @param {String} type Event type
+         * @param {Function} listener Function which gets the event object
+         * @return {Function} Function to remove the listener
+         */
+        function on(type, listener) {
+            listeners[type] = listeners[type] || [];
+            listeners[type].push(listener);
+
+            return function() {
+                var index = listeners[type].indexOf(listener);
+                if(index !== -1) {
+                    listeners[type].splice(index, 1);
+                }
+            };
+        }
+
+
+        /**
+         * Call event listeners and pass the event to `broadcast` of the 
+         * environment. Errors in listeners do not affect limiting.
+         * 
+         * @param {String} type Event type
+         * @param {Object} event Event data
+         */
+        function emit(type, event) {
+            event.type = type;
+            forEach((listeners[type] || []).slice(), function(listener) {
+                try {
+                    listener(event);
+                }
+                catch(e) {
+                    env.handleError(e);
+                }
+            });
+
+            env.broadcast(type, event);
+        }
+
+
+        /**
+         * Get names of the claimed rules for events.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Array} Rule names
+         */
+        function getRuleNames(claims) {
+            var names = [];
+            forEach(claims, function(claim) {
+                names.push(claim.rule.name);
+            });
+            return names;
+        }
+
+
+        /**
+         * Get statistics snapshot of the named rule, or array of snapshots 
+         * of all rules if name is not given.
+         * 
+         * @param {String} [name] Rule name
+         * @return {Object|Array} Statistics
+         */
+        function getStats(name) {
+            if(name !== undefined) {
+                return getLimiterStats(getLimiter(name));
+            }
+
+            var stats = [];
+            forEach(limiters, function(limiter) {
+                stats.push(getLimiterStats(limiter));
+            });
+            return stats;
+        }
+
+
+        /**
+         * Create statistics snapshot of the limiter.
+         * 
+         * @param {Object} limiter Limiter
+         * @return {Object} Statistics
+         */
+        function getLimiterStats(limiter) {
+            var waitTimes = limiter.stats.waitTimes.slice().sort(function(a, b) {
+                return a - b;
+            });
+
+            limiter.bucket.drip();
+            return {
+                name: limiter.name,
+                queueLength: limiter.queue.length,
+                tokensAvailable: limiter.bucket.content,
+                inFlight: limiter.inFlight,
+                keys: limiter.keyCount,
+                totalDelayed: limiter.stats.totalDelayed,
+                waitTimeP50: getPercentile(waitTimes, 50),
+                waitTimeP95: getPercentile(waitTimes, 95),
+                tooManyRequests: limiter.stats.tooManyRequests,
+                quotas: limiter.quotas.map(function(quota) {
+                    return {
+                        name: quota.option.name,
+                        remaining: quota.getRemaining(),
+                        resetTime: quota.getResetTime()
+                    };
+                })
+            };
+        }
+
+
+        /**
+         * Get percentile of sorted values using nearest-rank method.
+         * 
+         * @param {Array} values Sorted values
+         * @param {Number} percentile Percentile between 0 and 100
+         * @return {Number} Value, 0 if there are no values.
+         */
+        function getPercentile(values, percentile) {
+            if(!values.length) {
+                return 0;
+            }
+            return values[Math.max(Math.ceil(percentile / 100 * values.length) - 1, 0)];
+        }
+
+
+        /**
+         * Default identity of the request made of method, URL, params and 
+         * headers.
+         * 
+         * @param {Object} request Request object
+         * @return {String} Identity
+         */
+        function getRequestIdentity(request) {
+            return toJson([(request.method || 'GET').toUpperCase(), request.url, request.params, request.headers]);
+        }
+
+
+        /**
+         * Limit request with the matching rules.
+         * 
+         * @param {Object} request Request object
+         * @return {Object|Promise} Request or promise for it
+         */
+        function limitRequest(request) {
+            var unknown = getUnknownRuleName(request);
+            if(unknown !== undefined) {
+                return q.reject(new Error('No rate limiter rule named "' + unknown + '"'));
+            }
+
+            if(settings.observeOnly) {
+                return observeRequest(request);
+            }
+
+            var claims = getClaims(request);
+            if(claims instanceof Error) {
+                emit('dropped', { request: request, reason: 'cost', error: claims });
+                return q.reject(claims);
+            }
+
+            // If no matching limter is found proceed with normal flow 
+            if(!claims.length) {
+                return request;
+            }
+
+            // Overloaded server is not sent more requests
+            var open = getOpenCircuit(claims);
+            if(open) {
+                var circuitError = createOverflowError(open);
+                emit('dropped', { rules: [open.rule.name], request: request, reason: open.reason, error: circuitError });
+                return q.reject(circuitError);
+            }
+
+            // Waiting does not help, if a quota runs out for hours
+            var exhausted = getExhaustedQuota(claims);
+            if(exhausted) {
+                emitQuotaExhausted(exhausted.rule, exhausted.quota);
+                var quotaError = createOverflowError(exhausted);
+                emit('dropped', { rules: [exhausted.rule.name], request: request, reason: exhausted.reason, error: quotaError });
+                return q.reject(quotaError);
+            }
+
+            // Try to get tokens, if removed succesfully proceed with request.
+            // If requests of same or higher priority are already waiting, 
+            // queue decides who is served.
+            var priority = getPriority(request);
+            if(!isAnyHeld(claims, priority) && tryRemoveAllTokens(claims)) {
+                acquireSlots(request, claims);
+                takeProbes(request, claims);
+                return request;
+            }
+
+            // Apply overflow policy, if the request would make the queue too 
+            // long or wait too long.
+            var overflow = getOverflow(claims, request);
+            var dropped = overflow && overflow.policy === 'dropOldest' && getDropCandidate(overflow.rule.queue, priority);
+            while(dropped) {
+                dropRequest(dropped, overflow);
+                overflow = getOverflow(claims, request);
+                dropped = overflow && overflow.policy === 'dropOldest' && getDropCandidate(overflow.rule.queue, priority);
+            }
+
+            if(overflow && overflow.policy === 'bypass') {
+                return request;
+            }
+            else if(overflow) {
+                var error = createOverflowError(overflow);
+                emit('dropped', { rules: [overflow.rule.name], request: request, reason: overflow.reason, error: error });
+                return q.reject(error);
+            }
+
+            // Failed to get tokens, so delay request and return promise for it
+            return delayRequest(request, claims);
+        }
+
+
+        /**
+         * Log what the limiter would do to the request and send it at once.
+         * Tokens are taken, if the request would be sent now.
+         * 
+         * @param {Object} request Request object
+         * @return {Object} Request
+         */
+        function observeRequest(request) {
+            var explanation = explainRequest(request);
+            if(explanation.action === 'send') {
+                var claims = getClaims(request);
+                if(!(claims instanceof Error) && tryRemoveAllTokens(claims)) {
+                    acquireSlots(request, claims);
+                    takeProbes(request, claims);
+                }
+                return request;
+            }
+
+            var names = explanation.rules.map(function(rule) {
+                return '"' + rule.name + '"';
+            });
+            var message = 'Rate limiter would ' + explanation.action + ' ' + describeRequest(request);
+            if(explanation.action === 'queue') {
+                message += ' for ' + Math.ceil(explanation.waitTime) + 'ms';
+            }
+            if(explanation.message) {
+                message += ': ' + explanation.message;
+            }
+            env.log(message + ' (rules ' + names.join(', ') + ')');
+            return request;
+        }
+
+
+        /**
+         * Describe request for log messages.
+         * 
+         * @param {Object} request Request object
+         * @return {String} Method and URL
+         */
+        function describeRequest(request) {
+            return (request.method || 'GET').toUpperCase() + ' ' + request.url;
+        }
+
+
+        /**
+         * Tell how the request would be limited now, without taking tokens
+         * or creating buckets.
+         * 
+         * @param {Object} request Request object
+         * @return {Object} Explanation
+         */
+        function explainRequest(request) {
+            request = extend({}, request, { method: (request.method || 'GET').toUpperCase() });
+            var explanation = { action: 'send', waitTime: 0, rules: [], retry: getRetryPolicy(request) };
+
+            var unknown = getUnknownRuleName(request);
+            if(unknown !== undefined) {
+                return extend(explanation, {
+                    action: 'reject',
+                    reason: 'rule',
+                    message: 'No rate limiter rule named "' + unknown + '"'
+                });
+            }
+
+            var claims = getRequestRules(request).map(function(rule) {
+                var key = getRequestKey(request, rule);
+                return { rule: rule, cost: getRequestCost(request, rule), bucket: peekBucket(rule, key), key: key };
+            });
+            explanation.rules = claims.map(describeClaim);
+            if(!claims.length) {
+                return explanation;
+            }
+
+            if(env.isMerged(request)) {
+                explanation.action = 'merge';
+                return explanation;
+            }
+
+            var priority = getPriority(request);
+            var rejection = getCostOverflow(claims) || getOpenCircuit(claims) || getExhaustedQuota(claims);
+            if(!rejection && !isAnyHeld(claims, priority) && hasFreeSlots(claims) && getClaimWaitTime(claims) === 0) {
+                return explanation;
+            }
+
+            forEach(claims, function(claim) {
+                if(isValidCost(claim.cost)) {
+                    explanation.waitTime = Math.max(explanation.waitTime, estimateWaitTime(claim, priority));
+                }
+            });
+
+            var overflow = rejection || getOverflow(claims, request);
+            if(!overflow || (overflow.policy === 'dropOldest' && getDropCandidate(overflow.rule.queue, priority))) {
+                explanation.action = 'queue';
+            }
+            else {
+                explanation.action = overflow.policy === 'bypass' ? 'bypass' : 'reject';
+            }
+
+            if(overflow) {
+                explanation.reason = overflow.reason;
+                explanation.message = overflow.message;
+            }
+            return explanation;
+        }
+
+
+        /**
+         * Get bucket of the key without creating it. Request with a new key 
+         * would get a new bucket, so a bucket not kept is returned for it.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {String} [key] Key of the request
+         * @return {Object} Token bucket
+         */
+        function peekBucket(rule, key) {
+            if(key === undefined) {
+                return rule.bucket;
+            }
+            if(rule.keyedBuckets[key]) {
+                return rule.keyedBuckets[key].bucket;
+            }
+
+            var bucket = createBucket(rule.config, key);
+            bucket.tokensPerInterval = rule.tokensPerInterval;
+            return bucket;
+        }
+
+
+        /**
+         * Describe state of the claimed rule for explanation.
+         * 
+         * @param {Object} claim Rule, bucket, key and cost of the request
+         * @return {Object} Rule state
+         */
+        function describeClaim(claim) {
+            var rule = claim.rule;
+            claim.bucket.drip();
+            return {
+                name: rule.name,
+                cost: claim.cost,
+                key: claim.key,
+                tokensAvailable: claim.bucket.content,
+                waitTime: claim.bucket.getWaitTime(claim.cost),
+                queueLength: rule.queue.length,
+                inFlight: rule.inFlight,
+                paused: isPaused(rule),
+                circuitState: rule.circuit.state,
+                quotas: rule.quotas.map(function(quota) {
+                    return { name: quota.option.name, remaining: quota.getRemaining(), resetTime: quota.getResetTime() };
+                })
+            };
+        }
+
+
+        /**
+         * Get claim, which costs more than its bucket can hold.
+         * 
+         * @param {Array} claims Rules, buckets and costs of the request
+         * @return {Object|undefined} Rule, reason and error message
+         */
+        function getCostOverflow(claims) {
+            for(var i = 0; i < claims.length; i++) {
+                if(!isValidCost(claims[i].cost)) {
+                    return { rule: claims[i].rule, reason: 'cost', message: 'Invalid request cost ' + claims[i].cost };
+                }
+                if(claims[i].bucket.getWaitTime(claims[i].cost) === Infinity) {
+                    return {
+                        rule: claims[i].rule,
+                        reason: 'cost',
+                        message: 'Request cost ' + claims[i].cost + ' exceeds rate limiter bucket size ' + claims[i].bucket.bucketSize
+                    };
+                }
+            }
+        }
+
+
+        /**
+         * Get retry policy of the request from its first rule.
+         * 
+         * @param {Object} request Request object
+         * @return {Object|null} Rule name, `maxRetries` and retried 
+         *                  `statuses`, or null if request is not retried.
+         */
+        function getRetryPolicy(request) {
+            var rule = getMatchingRule(request);
+            if(!rule || isNaN(rule.retryInterval) || rule.retryInterval < 0 || !rule.maxRetries) {
+                return null;
+            }
+
+            var idempotent = IDEMPOTENT_METHODS.indexOf(request.method) !== -1;
+            return {
+                rule: rule.name,
+                maxRetries: rule.maxRetries,
+                statuses: idempotent ? rule.retryStatuses.concat(rule.retryIdempotentStatuses) : rule.retryStatuses.slice()
+            };
+        }
+
+
+        /**
+         * Get name of a rule in request's `rateLimit.rule`, which does not 
+         * exist.
+         * 
+         * @param {Object} request Request object
+         * @return {String|undefined} Rule name, undefined if all exist.
+         */
+        function getUnknownRuleName(request) {
+            var names = request.rateLimit && request.rateLimit.rule;
+            if(names === undefined || names === null) {
+                return undefined;
+            }
+
+            names = [].concat(names);
+            for(var i = 0; i < names.length; i++) {
+                if(!findLimiter(names[i])) {
+                    return names[i];
+                }
+            }
+            return undefined;
+        }
+
+
+        /**
+         * Get priority of the request from `rateLimit.priority`. Default 
+         * priority is 0.
+         * 
+         * @param {Object} request Request object
+         * @return {Number} Priority
+         */
+        function getPriority(request) {
+            var priority = request.rateLimit && Number(request.rateLimit.priority);
+            return priority && !isNaN(priority) ? priority : 0;
+        }
+
+
+        /**
+         * Get queued request to drop for a new one. Oldest request with the
+         * lowest priority is dropped, unless its priority is higher than the
+         * priority of the new request.
+         * 
+         * @param {Array} queue Rule queue
+         * @param {Number} priority Priority of the new request
+         * @return {Object|undefined} Queued request
+         */
+        function getDropCandidate(queue, priority) {
+            var candidate;
+            forEach(queue, function(waiter) {
+                if(!candidate || waiter.priority < candidate.priority) {
+                    candidate = waiter;
+                }
+            });
+            return candidate && candidate.priority <= priority ? candidate : undefined;
+        }
+
+
+        /**
+         * Create error for request rejected by the limiter. Error has 
+         * `rateLimitExceeded` flag, name of the rule and the reason, so it 
+         * can be recognized in error handlers.
+         * 
+         * @param {String} message Error message
+         * @param {Object} rule Rule which rejected the request
+         * @param {String} reason 'cost', 'maxQueueLength', 'maxWait', 'quota'
+         *                  or 'circuitOpen'
+         * @return {Error}
+         */
+        function createRateLimitError(message, rule, reason) {
+            var error = new Error(message);
+            error.rateLimitExceeded = true;
+            error.rule = rule.name;
+            error.reason = reason;
+            return error;
+        }
+
+
+        /**
+         * Create error for request rejected by overflow, exhausted quota or
+         * open circuit. Quota error has also `quota` name and `resetTime`, 
+         * and circuit error `circuitState` and `openUntil`.
+         * 
+         * @param {Object} overflow Exceeded rule, reason and error message
+         * @return {Error}
+         */
+        function createOverflowError(overflow) {
+            var error = createRateLimitError(overflow.message, overflow.rule, overflow.reason);
+            if(overflow.quota) {
+                error.quota = overflow.quota.option.name;
+                error.resetTime = overflow.quota.getResetTime();
+            }
+            if(overflow.reason === 'circuitOpen') {
+                error.circuitState = overflow.rule.circuit.state;
+                error.openUntil = overflow.rule.circuit.openUntil;
+            }
+            return error;
+        }
+
+
+        /**
+         * Get quota of the claimed rules, which does not have the tokens 
+         * the request needs.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Object|undefined} Exhausted rule and quota, reason and 
+         *                  error message
+         */
+        function getExhaustedQuota(claims) {
+            for(var i = 0; i < claims.length; i++) {
+                var rule = claims[i].rule;
+                for(var j = 0; j < rule.quotas.length; j++) {
+                    var quota = rule.quotas[j];
+                    if(quota.getRemaining() < claims[i].cost) {
+                        return {
+                            rule: rule,
+                            quota: quota,
+                            reason: 'quota',
+                            message: 'Rate limiter quota "' + quota.option.name + '" of rule "' + rule.name +
+                                '" is exhausted until ' + new Date(quota.getResetTime()).toISOString()
+                        };
+                    }
+                }
+            }
+        }
+
+
+        /**
+         * Use tokens of the claimed rules' quotas. Quotas are checked 
+         * before, so they have the tokens.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         */
+        function useQuotas(claims) {
+            forEach(claims, function(claim) {
+                forEach(claim.rule.quotas, function(quota) {
+                    quota.tryUse(claim.cost);
+                    if(quota.getRemaining() < 1) {
+                        emitQuotaExhausted(claim.rule, quota);
+                    }
+                });
+            });
+        }
+
+
+        /**
+         * Emit 'quotaExhausted' when the quota runs out, or rejects a 
+         * request costing more than it has left. Event is emitted once per 
+         * quota window.
+         * 
+         * @param {Object} rule Rule of the quota
+         * @param {Object} quota Exhausted quota
+         */
+        function emitQuotaExhausted(rule, quota) {
+            var resetTime = quota.getResetTime();
+            if(quota.$$exhaustedUntil === resetTime) {
+                return;
+            }
+            quota.$$exhaustedUntil = resetTime;
+            emit('quotaExhausted', { rules: [rule.name], quota: quota.option.name, resetTime: resetTime });
+        }
+
+
+        /**
+         * Check if queueing the request would exceed `maxQueueLength` or 
+         * `maxWait` of any claimed rule. Wait time is estimated from the 
+         * tokens the queued requests need and the bucket's drip rate.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Object|undefined} Exceeded rule, reason, error message and 
+         *                  overflow policy
+         */
+        function getOverflow(claims, request) {
+            var priority = getPriority(request);
+            for(var i = 0; i < claims.length; i++) {
+                var rule = claims[i].rule;
+                if(rule.queue.length >= rule.maxQueueLength) {
+                    return {
+                        rule: rule,
+                        reason: 'maxQueueLength',
+                        message: 'Rate limiter queue is full',
+                        policy: rule.queueOverflow
+                    };
+                }
+
+                if(estimateWaitTime(claims[i], priority) > getMaxWait(request, rule)) {
+                    return createWaitOverflow(rule);
+                }
+            }
+        }
+
+
+        /**
+         * Get milliseconds the request can wait for the rule. Request's 
+         * `rateLimit.maxWait` overrides the rule's `maxWait`.
+         * 
+         * @param {Object} request Request object
+         * @param {Object} rule Claimed rule
+         * @return {Number} Milliseconds
+         */
+        function getMaxWait(request, rule) {
+            var maxWait = request.rateLimit && request.rateLimit.maxWait;
+            return isNaN(maxWait) || maxWait === null ? rule.maxWait : maxWait;
+        }
+
+
+        /**
+         * Create overflow of a request waiting longer than `maxWait` of 
+         * the rule.
+         * 
+         * @param {Object} rule Exceeded rule
+         * @return {Object} Exceeded rule, reason, error message and 
+         *                  overflow policy
+         */
+        function createWaitOverflow(rule) {
+            return {
+                rule: rule,
+                reason: 'maxWait',
+                message: 'Rate limiter wait time exceeds maxWait',
+                policy: rule.waitOverflow
+            };
+        }
+
+
+        /**
+         * Estimate how long a new request would wait behind the requests 
+         * already queued for the same bucket with same or higher priority.
+         * 
+         * @param {Object} claim Rule, bucket and cost of the new request
+         * @param {Number} priority Priority of the new request
+         * @return {Number} Milliseconds
+         */
+        function estimateWaitTime(claim, priority) {
+            var bucket = claim.bucket;
+            if(!bucket.bucketSize) {
+                return 0;
+            }
+
+            var tokens = claim.cost;
+            forEach(claim.rule.queue, function(waiter) {
+                forEach(waiter.claims, function(queuedClaim) {
+                    if(queuedClaim.bucket === bucket && waiter.priority >= priority) {
+                        tokens += queuedClaim.cost;
+                    }
+                });
+            });
+
+            // Tokens beyond the bucket size drip at the token rate
+            var overflow = Math.max(tokens - bucket.bucketSize, 0);
+            var waitTime = bucket.getWaitTime(tokens - overflow);
+            if(overflow) {
+                waitTime += overflow * (bucket.interval / bucket.tokensPerInterval);
+            }
+            return waitTime;
+        }
+
+
+        /**
+         * Get tokens request needs from the bucket of every matching rule.
+         * 
+         * @param {Object} request Request object
+         * @return {Array|Error} Matching rules and costs, or Error if the 
+         *                  request can never get the tokens.
+         */
+        function getClaims(request) {
+            var rules = getRequestRules(request);
+            var claims = [];
+            for(var i = 0; i < rules.length; i++) {
+                var rule = rules[i];
+                var cost = getRequestCost(request, rule);
+                if(!isValidCost(cost)) {
+                    return createRateLimitError('Invalid request cost ' + cost, rule, 'cost');
+                }
+
+                var bucket = getBucket(rule, getRequestKey(request, rule));
+
+                // Request which costs more than bucket can hold would wait forever
+                if(bucket.getWaitTime(cost) === Infinity) {
+                    return createRateLimitError('Request cost ' + cost + ' exceeds rate limiter bucket size ' + bucket.bucketSize, rule, 'cost');
+                }
+
+                claims.push({ rule: rule, cost: cost, bucket: bucket });
+            }
+            return claims;
+        }
+
+
+        /**
+         * Check if any of the claimed rules is paused or has requests 
+         * waiting in queue for the same bucket with same or higher priority.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @param {Number} priority Priority of the request
+         * @return {Boolean} 
+         */
+        function isAnyHeld(claims, priority) {
+            for(var i = 0; i < claims.length; i++) {
+                if(isPaused(claims[i].rule) || isBucketQueued(claims[i], priority)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+
+        /**
+         * Check if requests with same or higher priority are waiting in the 
+         * rule's queue for the bucket of the claim.
+         * 
+         * @param {Object} claim Rule and bucket of the request
+         * @param {Number} priority Priority of the request
+         * @return {Boolean}
+         */
+        function isBucketQueued(claim, priority) {
+            for(var i = 0; i < claim.rule.queue.length; i++) {
+                var waiter = claim.rule.queue[i];
+                for(var j = 0; j < waiter.claims.length; j++) {
+                    if(waiter.claims[j].bucket === claim.bucket && waiter.priority >= priority) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        }
+
+
+        /**
+         * Check if requests to the rule are paused.
+         * 
+         * @param {Object} rule Rule
+         * @return {Boolean}
+         */
+        function isPaused(rule) {
+            return paused || rule.paused;
+        }
+
+
+        /**
+         * Remove tokens from all claimed buckets at once. Tokens are removed 
+         * only if every bucket has enough of them, so no tokens are held 
+         * while waiting for other buckets.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Boolean} True if the tokens were removed.
+         */
+        function tryRemoveAllTokens(claims) {
+            if(!hasFreeSlots(claims) || getClaimWaitTime(claims) > 0 || getExhaustedQuota(claims)) {
+                return false;
+            }
+
+            // Shared bucket can still fail, if another tab took the tokens
+            for(var i = 0; i < claims.length; i++) {
+                if(!claims[i].bucket.tryRemoveTokens(claims[i].cost)) {
+                    returnTokens(claims.slice(0, i));
+                    return false;
+                }
+            }
+
+            forEach(claims, function(claim) {
+                if(claim.bucket.content < 1) {
+                    emit('bucketEmpty', { rules: [claim.rule.name] });
+                }
+            });
+            useQuotas(claims);
+            return true;
+        }
+
+
+        /**
+         * Check if all claimed rules have room for one more request in 
+         * flight.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Boolean}
+         */
+        function hasFreeSlots(claims) {
+            for(var i = 0; i < claims.length; i++) {
+                if(claims[i].rule.inFlight >= claims[i].rule.maxConcurrent) {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+
+        /**
+         * Take a slot from each claimed rule with `maxConcurrent`. Slots 
+         * are kept in the request configuration until the response.
+         * 
+         * @param {Object} request Request object
+         * @param {Array} claims Rules and costs of the request
+         */
+        function acquireSlots(request, claims) {
+            var slots = [];
+            forEach(claims, function(claim) {
+                if(claim.rule.maxConcurrent !== Infinity) {
+                    claim.rule.inFlight++;
+                    slots.push(claim.rule);
+                }
+            });
+            if(slots.length) {
+                request.$$rateLimitSlots = slots;
+            }
+        }
+
+
+        /**
+         * Give back the slots taken by the request, and release requests 
+         * waiting for them.
+         * 
+         * @param {Object} [config] Request object
+         */
+        function releaseSlots(config) {
+            if(!config || !config.$$rateLimitSlots) {
+                return;
+            }
+
+            forEach(config.$$rateLimitSlots, function(rule) {
+                rule.inFlight--;
+            });
+            delete config.$$rateLimitSlots;
+            releaseQueues();
+        }
+
+
+        /**
+         * Release slots of successful response and adapt the rate to it.
+         * 
+         * @param {Object} response Response object
+         * @return {Object} Response
+         */
+        function handleResponse(response) {
+            releaseSlots(response.config);
+            adaptToResponse(response);
+            env.onSettled(response.config, response, false);
+            return response;
+        }
+
+
+        /**
+         * Adapt matching rules to the server feedback. Rate of adaptive 
+         * rules is decreased on 429 and 503 responses and increased after
+         * a run of successful responses. Buckets of rules syncing the 
+         * remaining tokens are synced to the response headers.
+         * 
+         * @param {Object} response Response object
+         */
+        function adaptToResponse(response) {
+            if(!response.config) {
+                return;
+            }
+
+            var overloaded = response.status === 429 || response.status === 503;
+            var succeeded = response.status >= 200 && response.status < 300;
+            forEach(getRequestRules(response.config), function(rule) {
+                if(rule.circuitBreaker) {
+                    recordCircuitOutcome(rule, response);
+                }
+
+                if(rule.syncRemaining) {
+                    syncRemaining(rule, response);
+                }
+
+                if(!rule.adaptive) {
+                    return;
+                }
+                if(overloaded) {
+                    rule.successes = 0;
+                    setRate(rule, Math.max(rule.tokensPerInterval * rule.rateDecrease, rule.minTokensPerInterval));
+                }
+                else if(succeeded && ++rule.successes >= rule.rateIncreaseAfter) {
+                    rule.successes = 0;
+                    setRate(rule, Math.min(rule.tokensPerInterval + rule.rateIncrease, rule.maxTokensPerInterval));
+                }
+            });
+        }
+
+
+        /**
+         * Change rate of the rule's buckets. Waiting requests are released
+         * again, so their timers follow the new rate.
+         * 
+         * @param {Object} rule Adaptive rule
+         * @param {Number} tokensPerInterval New rate
+         */
+        function setRate(rule, tokensPerInterval) {
+            if(tokensPerInterval === rule.tokensPerInterval) {
+                return;
+            }
+
+            rule.tokensPerInterval = tokensPerInterval;
+            forEach(getAllBuckets(rule), function(bucket) {
+                // Drip with the old rate before changing it
+                bucket.drip();
+                bucket.tokensPerInterval = tokensPerInterval;
+            });
+            emit('rateChanged', { rules: [rule.name], tokensPerInterval: tokensPerInterval });
+            releaseQueues();
+        }
+
+
+        /**
+         * Remove tokens from the bucket of the request, so it does not hold
+         * more tokens than the server tells to be remaining.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {Object} response Response object
+         */
+        function syncRemaining(rule, response) {
+            if(typeof response.headers !== 'function') {
+                return;
+            }
+
+            var header = response.headers('X-RateLimit-Remaining') || response.headers('RateLimit-Remaining');
+            var remaining = parseFloat(header);
+            if(isNaN(remaining) || remaining < 0) {
+                return;
+            }
+
+            var bucket = getBucket(rule, getRequestKey(response.config, rule));
+            bucket.drip();
+            var excess = bucket.content - remaining;
+            if(excess > 0) {
+                bucket.tryRemoveTokens(excess);
+            }
+        }
+
+
+        /**
+         * Get claimed rule, which circuit does not let the request through.
+         * Half-open circuit lets through only its probes.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Object|undefined} Rule with open circuit, reason and 
+         *                  error message
+         */
+        function getOpenCircuit(claims) {
+            for(var i = 0; i < claims.length; i++) {
+                var rule = claims[i].rule;
+                var circuit = rule.circuit;
+                if(circuit.state === 'open' || (circuit.state === 'half-open' && circuit.probes >= rule.circuitBreaker.probes)) {
+                    return {
+                        rule: rule,
+                        reason: 'circuitOpen',
+                        message: 'Rate limiter circuit of rule "' + rule.name + '" is ' + circuit.state
+                    };
+                }
+            }
+        }
+
+
+        /**
+         * Mark the request as probe of the claimed rules with half-open 
+         * circuit.
+         * 
+         * @param {Object} request Request object
+         * @param {Array} claims Rules and costs of the request
+         */
+        function takeProbes(request, claims) {
+            forEach(claims, function(claim) {
+                if(claim.rule.circuit.state === 'half-open') {
+                    claim.rule.circuit.probes++;
+                    request.$$rateLimitProbes = (request.$$rateLimitProbes || []).concat(claim.rule);
+                }
+            });
+        }
+
+
+        /**
+         * Count the response to the rule's circuit. Closed circuit opens
+         * when it gets too many failures within the window. Half-open 
+         * circuit closes when all probes succeed, and opens again when one
+         * fails or gets no response.
+         * 
+         * @param {Object} rule Rule with circuit breaker
+         * @param {Object} response Response object
+         */
+        function recordCircuitOutcome(rule, response) {
+            var circuit = rule.circuit;
+            var failed = rule.circuitBreaker.statuses.indexOf(response.status) !== -1;
+            var probes = response.config.$$rateLimitProbes;
+            var now = +new Date();
+
+            if(circuit.state === 'closed' && failed) {
+                circuit.failures = circuit.failures.filter(function(time) {
+                    return now - time < rule.circuitBreaker.window;
+                });
+                circuit.failures.push(now);
+                if(circuit.failures.length >= rule.circuitBreaker.failures) {
+                    setCircuitState(rule, 'open');
+                }
+            }
+            else if(circuit.state === 'half-open' && probes && probes.indexOf(rule) !== -1) {
+                // Probe which timed out or was aborted did not reach the server
+                if(failed || response.status <= 0) {
+                    setCircuitState(rule, 'open');
+                }
+                else if(++circuit.successes >= rule.circuitBreaker.probes) {
+                    setCircuitState(rule, 'closed');
+                }
+            }
+        }
+
+
+        /**
+         * Change state of the rule's circuit and emit 'circuitStateChanged'.
+         * Open circuit is half-open after the cooldown, and requests 
+         * waiting for it are rejected.
+         * 
+         * @param {Object} rule Rule with circuit breaker
+         * @param {String} state 'closed', 'open' or 'half-open'
+         */
+        function setCircuitState(rule, state) {
+            var previousState = rule.circuit.state;
+            closeCircuit(rule);
+            rule.circuit.state = state;
+
+            if(state === 'open') {
+                var cooldown = rule.circuitBreaker.cooldown;
+                rule.circuit.openUntil = +new Date() + cooldown;
+                rule.circuit.timer = setTimer(function() {
+                    setCircuitState(rule, 'half-open');
+                }, cooldown, !rule.skipDigest);
+            }
+
+            emit('circuitStateChanged', { rules: [rule.name], state: state, previousState: previousState, openUntil: rule.circuit.openUntil });
+            releaseQueues();
+        }
+
+
+        /**
+         * Set the rule's circuit to closed state without failures.
+         * 
+         * @param {Object} rule Rule
+         */
+        function closeCircuit(rule) {
+            if(rule.circuit) {
+                cancelTimer(rule.circuit.timer);
+            }
+            rule.circuit = {
+                state: 'closed',
+                failures: [],
+                openUntil: 0,
+                probes: 0,
+                successes: 0,
+                timer: undefined
+            };
+        }
+
+
+        /**
+         * Get state of the named rule's circuit.
+         * 
+         * @param {String} name Rule name
+         * @return {String} 'closed', 'open' or 'half-open'
+         */
+        function getCircuitState(name) {
+            return getLimiter(name).circuit.state;
+        }
+
+
+        /**
+         * Call function, when it gets tokens from the named rules. Call 
+         * waits in the same queues as requests and holds a slot of the rules 
+         * until the promise it returns is settled.
+         * 
+         * @param {Function} fn Function to call
+         * @param {Object} self `this` of the call
+         * @param {Array} args Arguments of the call
+         * @param {Array} names Rule names
+         * @param {Object} options `cost` and `timeout` of the call
+         * @return {Promise} Promise for the return value of the function
+         */
+        function limitCall(fn, self, args, names, options) {
+            // Call is limited like a request to the named rules. Key 
+            // function of the rule gets the call with its arguments.
+            var call = {
+                args: args,
+                timeout: options.timeout,
+                rateLimit: {
+                    rule: names,
+                    cost: isFunction(options.cost) ? options.cost.apply(self, args) : options.cost
+                }
+            };
+            var result = limitRequest(call);
+            return result === call ? invoke() : q.when(result).then(invoke);
+
+            function invoke() {
+                var promise;
+                try {
+                    promise = q.when(fn.apply(self, args));
+                }
+                catch(error) {
+                    promise = q.reject(error);
+                }
+                return promise.finally(function() {
+                    releaseSlots(call);
+                });
+            }
+        }
+
+
+        /**
+         * Send request with `fetch`, when it gets tokens from the matching
+         * rules. Failed responses are retried like other requests. Request
+         * aborted while waiting is rejected with the `AbortError` of fetch.
+         * 
+         * @param {String|Object} input URL or `Request`
+         * @param {Object} [init] Options of `fetch` with `rateLimit` 
+         *                  request options
+         * @return {Promise} Promise for the `Response`
+         */
+        function limitFetch(input, init) {
+            init = init || {};
+            var isRequest = !isString(input) && !!input.url;
+            var config = {
+                method: String(init.method || (isRequest && input.method) || 'GET').toUpperCase(),
+                url: isRequest ? input.url : String(input),
+                headers: getHeaderObject(init.headers || (isRequest && input.headers)),
+                rateLimit: init.rateLimit
+            };
+
+            // Waiting request is cancelled with the abort signal
+            var signal = init.signal || (isRequest && input.signal);
+            if(signal && signal.addEventListener) {
+                var aborted = q.defer();
+                signal.addEventListener('abort', function() {
+                    aborted.resolve();
+                });
+                config.timeout = aborted.promise;
+            }
+
+            if(!nativeFetch) {
+                nativeFetch = env.window.fetch;
+            }
+            return sendFetch(config, function() {
+                // Body of a request can be read only once
+                return nativeFetch.call(env.window, isRequest ? input.clone() : input, init);
+            }).catch(function(rejection) {
+                // Cancelled request was never sent, so it is rejected like fetch
+                if(rejection && rejection.xhrStatus === 'abort' && rejection.status === -1) {
+                    return q.reject(signal && signal.reason !== undefined ? signal.reason : createAbortError());
+                }
+                return q.reject(rejection);
+            });
+        }
+
+
+        /**
+         * Limit and send fetch request, and handle its response.
+         * 
+         * @param {Object} config Request configuration
+         * @param {Function} send Function returning promise for `Response`
+         * @return {Promise} Promise for the `Response`
+         */
+        function sendFetch(config, send) {
+            return q.when(limitRequest(config)).then(function() {
+                return q.when(send()).then(handleFetchResponse, handleFetchError);
+            });
+
+            function handleFetchResponse(fetchResponse) {
+                var response = {
+                    status: fetchResponse.status,
+                    config: config,
+                    headers: function(name) {
+                        return fetchResponse.headers.get(name);
+                    }
+                };
+                if(fetchResponse.ok) {
+                    handleResponse(response);
+                    return fetchResponse;
+                }
+
+                // Fetch resolves with failed responses, which are not retried
+                return retryResponse(response, function(retryConfig) {
+                    return sendFetch(retryConfig, send);
+                }).catch(function(rejection) {
+                    return rejection === response ? fetchResponse : q.reject(rejection);
+                });
+            }
+
+            // Network failures and aborts are failed responses like in $http
+            function handleFetchError(error) {
+                var response = {
+                    status: -1,
+                    config: config,
+                    headers: function() {
+                        return null;
+                    },
+                    xhrStatus: error && error.name === 'AbortError' ? 'abort' : 'error'
+                };
+                return retryResponse(response, function(retryConfig) {
+                    return sendFetch(retryConfig, send);
+                }).catch(function(rejection) {
+                    return q.reject(rejection === response ? error : rejection);
+                });
+            }
+        }
+
+
+        /**
+         * Create error like the one fetch rejects with when it is aborted.
+         * 
+         * @return {Error} Error named 'AbortError'
+         */
+        function createAbortError() {
+            var message = 'The operation was aborted.';
+            if(isFunction(env.window.DOMException)) {
+                try {
+                    return new env.window.DOMException(message, 'AbortError');
+                }
+                catch(e) {
+                    // Old browsers cannot construct DOMException
+                }
+            }
+            var error = new Error(message);
+            error.name = 'AbortError';
+            return error;
+        }
+
+
+        /**
+         * Convert headers to object, so matchers and key functions get 
+         * them like the headers of `$http` requests.
+         * 
+         * @param {Object|Array} [headers] `Headers`, array of name and value
+         *                  pairs or object
+         * @return {Object} Headers by name
+         */
+        function getHeaderObject(headers) {
+            var result = {};
+            if(headers && isFunction(headers.forEach) && !isArray(headers)) {
+                headers.forEach(function(value, name) {
+                    result[name] = value;
+                });
+            }
+            else if(isArray(headers)) {
+                forEach(headers, function(pair) {
+                    result[pair[0]] = pair[1];
+                });
+            }
+            else if(headers) {
+                extend(result, headers);
+            }
+            return result;
+        }
+
+
+        /**
+         * Create XMLHttpRequest, which waits for tokens from the matching 
+         * rules when it is sent. Request options are read from its 
+         * `rateLimit` property. Aborting removes waiting request from the 
+         * queues. Request rejected by the limiter is not sent; it gets 
+         * `rateLimitError` property and 'error' and 'loadend' events. 
+         * Failed responses are not retried, because the events of the 
+         * response have already been dispatched.
+         * 
+         * @return {Object} XMLHttpRequest
+         */
+        function createXHR() {
+            var xhr = new env.window.XMLHttpRequest();
+            var open = xhr.open;
+            var send = xhr.send;
+            var setRequestHeader = xhr.setRequestHeader;
+            var abort = xhr.abort;
+            var config, aborted, sent;
+
+            // Response of the sent request, also when the instance is reused
+            xhr.addEventListener('loadend', function() {
+                var request = sent;
+                if(!request) {
+                    return;
+                }
+                sent = undefined;
+
+                var response = {
+                    status: xhr.status,
+                    config: request,
+                    headers: function(name) {
+                        return xhr.getResponseHeader(name);
+                    }
+                };
+                if(xhr.status >= 200 && xhr.status < 300) {
+                    handleResponse(response);
+                }
+                else {
+                    recordFailure(response);
+                }
+            });
+
+            xhr.open = function(method, url) {
+                config = { method: String(method).toUpperCase(), url: String(url), headers: {} };
+                return open.apply(xhr, arguments);
+            };
+
+            xhr.setRequestHeader = function(name, value) {
+                config.headers[name] = value;
+                return setRequestHeader.apply(xhr, arguments);
+            };
+
+            xhr.abort = function() {
+                var result = abort.apply(xhr, arguments);
+                if(aborted) {
+                    // Queued request was not sent, so abort gives no events
+                    aborted.resolve();
+                    aborted = undefined;
+                    xhr.dispatchEvent(createEvent('abort'));
+                    xhr.dispatchEvent(createEvent('loadend'));
+                }
+                return result;
+            };
+
+            xhr.send = function(body) {
+                var request = extend({}, config, { rateLimit: xhr.rateLimit });
+                aborted = q.defer();
+                request.timeout = aborted.promise;
+
+                var result = limitRequest(request);
+                if(result === request) {
+                    sendXHR();
+                }
+                else {
+                    q.when(result).then(sendXHR, failXHR);
+                }
+
+                function sendXHR() {
+                    aborted = undefined;
+                    sent = request;
+                    send.call(xhr, body);
+                }
+
+                function failXHR(error) {
+                    // Aborted request got the events from abort
+                    if(error && error.xhrStatus === 'abort') {
+                        return;
+                    }
+                    xhr.rateLimitError = error;
+                    xhr.dispatchEvent(createEvent('error'));
+                    xhr.dispatchEvent(createEvent('loadend'));
+                }
+            };
+
+            return xhr;
+        }
+
+
+        /**
+         * Create event, also in browsers without `Event` constructor.
+         * 
+         * @param {String} type Event type
+         * @return {Object} Event
+         */
+        function createEvent(type) {
+            if(isFunction(env.window.Event)) {
+                return new env.window.Event(type);
+            }
+            var event = env.window.document.createEvent('Event');
+            event.initEvent(type, false, false);
+            return event;
+        }
+
+
+        /**
+         * Get bucket of the named rule for sharing it outside of requests.
+         * 
+         * @param {String} name Rule name
+         * @return {Object} Token bucket
+         */
+        function getRuleBucket(name) {
+            return getLimiter(name).bucket;
+        }
+
+
+        /**
+         * Get current rate of the named rule.
+         * 
+         * @param {String} name Rule name
+         * @return {Number} Tokens per interval
+         */
+        function getRate(name) {
+            return getLimiter(name).tokensPerInterval;
+        }
+
+
+        /**
+         * Return tokens of the claims to their buckets.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         */
+        function returnTokens(claims) {
+            forEach(claims, function(claim) {
+                claim.bucket.addTokens(claim.cost);
+            });
+        }
+
+
+        /**
+         * Get milliseconds until all claimed buckets have enough tokens.
+         * 
+         * @param {Array} claims Rules and costs of the request
+         * @return {Number} Milliseconds to wait
+         */
+        function getClaimWaitTime(claims) {
+            var waitTime = 0;
+            forEach(claims, function(claim) {
+                waitTime = Math.max(waitTime, claim.bucket.getWaitTime(claim.cost));
+            });
+            return waitTime;
+        }
+
+
+        /**
+         * Get number of tokens the request consumes. Request's 
+         * `rateLimit.cost` overrides the rule's cost.
+         * 
+         * @param {Object} request Request object
+         * @param {Object} rule Matching rule
+         * @return {Number} Number of tokens
+         */
+        function getRequestCost(request, rule) {
+            var cost = request.rateLimit && request.rateLimit.cost !== undefined ? request.rateLimit.cost : rule.cost;
+            return typeof cost === 'function' ? cost(request) : cost;
+        }
+
+
+        /**
+         * Check that cost is a finite number not less than zero. Other 
+         * costs would break the token count of the buckets.
+         * 
+         * @param {*} cost Cost of the request
+         * @return {Boolean}
+         */
+        function isValidCost(cost) {
+            return isNumber(cost) && isFinite(cost) && cost >= 0;
+        }
+
+
+        /**
+         * Find matching rate limiter rule.
+         * 
+         * @param {Object }request HTTP request object
+         * @return {undefined|Object} Return matching rule
+         */
+        function getMatchingRule(request) {
+            return getRequestRules(request)[0];
+        }
+
+
+        /**
+         * Get rules of the request. Request's `rateLimit.rule` names the 
+         * rules instead of matching them, and `rateLimit.bypass` skips all 
+         * rules or the named ones.
+         * 
+         * @param {Object} request HTTP request object
+         * @return {Array} Rules
+         */
+        function getRequestRules(request) {
+            var options = request.rateLimit || {};
+            if(options.bypass === true) {
+                return [];
+            }
+
+            var rules = [];
+            if(options.rule !== undefined && options.rule !== null) {
+                forEach([].concat(options.rule), function(name) {
+                    var limiter = findLimiter(name);
+                    if(limiter && rules.indexOf(limiter) === -1) {
+                        rules.push(limiter);
+                    }
+                });
+            }
+            else {
+                rules = getMatchingRules(request);
+            }
+
+            var bypassed = options.bypass ? [].concat(options.bypass) : [];
+            return rules.filter(function(rule) {
+                return bypassed.indexOf(rule.name) === -1;
+            });
+        }
+
+
+        /**
+         * Find all matching rate limiter rules in the order they were added.
+         * 
+         * @param {Object} request HTTP request object
+         * @return {Array} Matching rules
+         */
+        function getMatchingRules(request) {
+            var matches = [];
+            var location = getRequestLocation(request);
+            for(var i in limiters) {
+                if(limiters[i].matcher(request, location)) {
+                    matches.push(limiters[i]);
+                }
+            }
+            return matches;
+        }
+
+
+        /**
+         * Get location of the request for matching. URL is built the same 
+         * way as `$http` builds it, with params serialized to the query, 
+         * and only host and path are resolved from it.
+         * 
+         * @param {Object} request Request object
+         * @return {Object} Location with `url`, `method`, `host` and `path`
+         */
+        function getRequestLocation(request) {
+            var url = String(request.url);
+            var query = env.serializeParams(request.params, request);
+            if(query) {
+                url += (url.indexOf('?') === -1 ? '?' : '&') + query;
+            }
+
+            var resolved = parseUrl(url);
+            if(urlResolver) {
+                urlResolver.setAttribute('href', url);
+                resolved = { host: urlResolver.hostname, path: urlResolver.pathname };
+            }
+            return {
+                url: url,
+                method: (request.method || 'GET').toUpperCase(),
+                host: resolved.host,
+                // IE leaves out the leading slash
+                path: resolved.path.charAt(0) === '/' ? resolved.path : '/' + resolved.path
+            };
+        }
+
+
+        /**
+         * Add request to the wait queue of every claimed rule. Return promise 
+         * which is resolved when tokens are received from the buckets.
+         * 
+         * @param {Object} request Request object
+         * @param {Array} claims Rules and costs of the request
+         * @return {Promise}
+         */
+        function delayRequest(request, claims) {
+            var waiter = {
+                request: request,
+                claims: claims,
+                priority: getPriority(request),
+                deferred: q.defer(),
+                queuedAt: +new Date()
+            };
+            insertByPriority(waiting, waiter);
+            forEach(claims, function(claim) {
+                insertByPriority(claim.rule.queue, waiter);
+                claim.rule.stats.totalDelayed++;
+            });
+            emit('throttled', { rules: getRuleNames(claims), request: request });
+            watchRequestTimeout(waiter);
+            watchWaitDeadline(waiter);
+            releaseQueues();
+
+            return waiter.deferred.promise;
+        }
+
+
+        /**
+         * Add request to the queue after the requests with same or higher 
+         * priority.
+         * 
+         * @param {Array} queue Queue
+         * @param {Object} waiter Request to add
+         */
+        function insertByPriority(queue, waiter) {
+            var index = queue.length;
+            while(index > 0 && queue[index - 1].priority < waiter.priority) {
+                index--;
+            }
+            queue.splice(index, 0, waiter);
+        }
+
+
+        /**
+         * Watch request's `timeout` configuration while it is waiting in the
+         * queue. If the timeout promise is resolved or timeout milliseconds 
+         * pass, the request is removed from the queue without consuming token.
+         * 
+         * @param {Object} waiter Queued request
+         */
+        function watchRequestTimeout(waiter) {
+            var timeout = waiter.request.timeout;
+            if(isNumber(timeout) && timeout > 0) {
+                waiter.timeoutTimer = setTimer(function() {
+                    cancelRequest(waiter, 'timeout');
+                }, timeout);
+            }
+            else if(timeout && typeof timeout.then === 'function') {
+                timeout.then(function() {
+                    cancelRequest(waiter, 'abort');
+                });
+            }
+        }
+
+
+        /**
+         * Arm timer for the earliest `maxWait` of the request's rules. 
+         * Estimate checked when the request was queued does not know about
+         * pauses, slots in flight or requests with higher priority coming 
+         * later, so request still waiting at the deadline gets the 
+         * `waitOverflow` policy of the rule; 'bypass' sends it without 
+         * limiting and others reject it. Timer is armed again when the 
+         * rules change.
+         * 
+         * @param {Object} waiter Queued request
+         */
+        function watchWaitDeadline(waiter) {
+            var expired;
+            forEach(waiter.claims, function(claim) {
+                var maxWait = getMaxWait(waiter.request, claim.rule);
+                if(maxWait !== Infinity && (!expired || maxWait < expired.maxWait)) {
+                    expired = { rule: claim.rule, maxWait: maxWait };
+                }
+            });
+
+            cancelTimer(waiter.deadlineTimer);
+            waiter.deadlineTimer = undefined;
+            if(!expired) {
+                return;
+            }
+
+            var delay = Math.max(waiter.queuedAt + expired.maxWait - new Date(), 0);
+            waiter.deadlineTimer = setTimer(function() {
+                if(waiting.indexOf(waiter) === -1) {
+                    return;
+                }
+
+                var overflow = createWaitOverflow(expired.rule);
+                if(overflow.policy === 'bypass') {
+                    releaseRequest(waiter, true);
+                }
+                else {
+                    dropRequest(waiter, overflow);
+                }
+                releaseQueues();
+            }, delay);
+        }
+
+
+        /**
+         * Cancel timers of the queued request.
+         * 
+         * @param {Object} waiter Queued request
+         */
+        function cancelWaiterTimers(waiter) {
+            cancelTimer(waiter.timeoutTimer);
+            cancelTimer(waiter.deadlineTimer);
+        }
+
+
+        /**
+         * Remove request from the queues and reject it the same way as `$http`
+         * rejects cancelled request.
+         * 
+         * @param {Object} waiter Queued request
+         * @param {String} xhrStatus Reason for cancel; 'abort' or 'timeout'
+         */
+        function cancelRequest(waiter, xhrStatus) {
+            // Request has already been released
+            if(waiting.indexOf(waiter) === -1) {
+                return;
+            }
+
+            removeFromQueues(waiter);
+            cancelWaiterTimers(waiter);
+            emit('dropped', { rules: getRuleNames(waiter.claims), request: waiter.request, reason: xhrStatus });
+            waiter.deferred.reject({
+                data: null,
+                status: -1,
+                headers: function() {
+                    return null;
+                },
+                config: waiter.request,
+                statusText: '',
+                xhrStatus: xhrStatus
+            });
+
+            // Requests behind the cancelled one may be able to proceed now
+            releaseQueues();
+        }
+
+
+        /**
+         * Remove request from the queues and reject it, because queue limit 
+         * of the rule was exceeded.
+         * 
+         * @param {Object} waiter Queued request
+         * @param {Object} overflow Exceeded rule and reason
+         */
+        function dropRequest(waiter, overflow) {
+            var error = createOverflowError(overflow);
+            removeFromQueues(waiter);
+            cancelWaiterTimers(waiter);
+            emit('dropped', { rules: getRuleNames(waiter.claims), request: waiter.request, reason: overflow.reason, error: error });
+            waiter.deferred.reject(error);
+        }
+
+
+        /**
+         * Remove request from the queues of its rules.
+         * 
+         * @param {Object} waiter Queued request
+         */
+        function removeFromQueues(waiter) {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            forEach(waiter.claims, function(claim) {
+                var queue = claim.rule.queue;
+                queue.splice(queue.indexOf(waiter), 1);
+            });
+        }
+
+
+        /**
+         * Send queued request. Numeric request timeout is reduced by the time 
+         * spent in the queue.
+         * 
+         * @param {Object} waiter Queued request
+         * @param {Boolean} [bypass] Is request sent without taking slots
+         */
+        function releaseRequest(waiter, bypass) {
+            var request = waiter.request;
+            var waitTime = new Date() - waiter.queuedAt;
+            removeFromQueues(waiter);
+            cancelWaiterTimers(waiter);
+            if(waiter.timeoutTimer) {
+                request.timeout = Math.max(request.timeout - waitTime, 1);
+            }
+
+            forEach(waiter.claims, function(claim) {
+                var waitTimes = claim.rule.stats.waitTimes;
+                waitTimes.push(waitTime);
+                if(waitTimes.length > WAIT_TIME_SAMPLES) {
+                    waitTimes.shift();
+                }
+            });
+            emit('released', { rules: getRuleNames(waiter.claims), request: request, waitTime: waitTime });
+
+            if(!bypass) {
+                acquireSlots(request, waiter.claims);
+                takeProbes(request, waiter.claims);
+            }
+            waiter.deferred.resolve(request);
+        }
+
+
+        /**
+         * Go through queued requests in arrival order and release the ones 
+         * which get tokens from all of their buckets. A request which lacks 
+         * tokens from a bucket reserves it, so later requests cannot take 
+         * tokens from that bucket before it. Later requests can still use
+         * other buckets the waiting request does not lack. Finally rule 
+         * timers are armed for the next tokens the requests are waiting for.
+         */
+        function releaseQueues() {
+            var reserved = [];
+            var schedule = { waitTimes: [], buckets: [] };
+
+            forEach(waiting.slice(), function(waiter) {
+                var exhausted = getOpenCircuit(waiter.claims) || getExhaustedQuota(waiter.claims);
+                if(exhausted) {
+                    if(exhausted.quota) {
+                        emitQuotaExhausted(exhausted.rule, exhausted.quota);
+                    }
+                    dropRequest(waiter, exhausted);
+                    return;
+                }
+
+                var blocked = false;
+                forEach(waiter.claims, function(claim) {
+                    if(reserved.indexOf(claim.bucket) !== -1 || reserved.indexOf(claim.rule) !== -1 || isPaused(claim.rule)) {
+                        blocked = true;
+                    }
+                });
+
+                var lacking = getLacking(waiter.claims, schedule);
+                if(!lacking.length && !blocked) {
+                    if(tryRemoveAllTokens(waiter.claims)) {
+                        releaseRequest(waiter);
+                        return;
+                    }
+                    // Another tab took the tokens of a shared bucket
+                    lacking = getLacking(waiter.claims, schedule);
+                }
+                reserved.push.apply(reserved, lacking);
+            });
+
+            forEach(limiters, function(rule, index) {
+                scheduleQueue(rule, schedule.waitTimes[index]);
+            });
+        }
+
+
+        /**
+         * Get the buckets which lack tokens and the rules which lack free 
+         * slots for the claims. Wait time of the first request lacking 
+         * tokens from each bucket is scheduled, and the rule's timer is 
+         * armed for the earliest of its buckets.
+         * 
+         * @param {Array} claims Rules, buckets and costs of the request
+         * @param {Object} schedule Wait times by rule index and buckets 
+         *                  which already have a wait time
+         * @return {Array} Lacking buckets and rules
+         */
+        function getLacking(claims, schedule) {
+            var lacking = [];
+            forEach(claims, function(claim) {
+                // Slot is freed by a response, so no timer is needed
+                if(claim.rule.inFlight >= claim.rule.maxConcurrent) {
+                    lacking.push(claim.rule);
+                    return;
+                }
+
+                var waitTime = claim.bucket.getWaitTime(claim.cost);
+                if(waitTime > 0) {
+                    lacking.push(claim.bucket);
+                    if(schedule.buckets.indexOf(claim.bucket) === -1) {
+                        var index = limiters.indexOf(claim.rule);
+                        var scheduled = schedule.waitTimes[index];
+                        schedule.waitTimes[index] = scheduled === undefined ? waitTime : Math.min(scheduled, waitTime);
+                        schedule.buckets.push(claim.bucket);
+                    }
+                }
+            });
+            return lacking;
+        }
+
+
+        /**
+         * Arm the rule's timer to fire after given time. Only one timer per 
+         * rule is used, and it is kept if it fires earlier than requested.
+         * Timer is cancelled if there is nothing to wait for.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {Number|undefined} waitTime Milliseconds until next token
+         */
+        function scheduleQueue(rule, waitTime) {
+            if(waitTime === undefined) {
+                cancelTimer(rule.timer);
+                rule.timer = undefined;
+                return;
+            }
+
+            var deadline = +new Date() + Math.ceil(waitTime);
+            if(rule.timer && rule.timerDeadline <= deadline) {
+                return;
+            }
+
+            cancelTimer(rule.timer);
+            rule.timerDeadline = deadline;
+            rule.timer = setTimer(function() {
+                rule.timer = undefined;
+                releaseQueues();
+            }, Math.ceil(waitTime), !rule.skipDigest);
+        }
+
+
+        /**
+         * Release slots of failed response, adapt to it and count rate 
+         * limited responses to statistics.
+         * 
+         * @param {Object} response Response with `status`, `config` and 
+         *                  `headers(name)`, like `$http` response
+         */
+        function recordFailure(response) {
+            // Failed, cancelled and timed out requests free their slots
+            releaseSlots(response.config);
+            adaptToResponse(response);
+
+            if(response.config && response.status === 429) {
+                forEach(getRequestRules(response.config), function(matchingRule) {
+                    matchingRule.stats.tooManyRequests++;
+                });
+            }
+        }
+
+
+        /**
+         * Retry failed request with the policy of the first matching rule.
+         * 
+         * @param {Object} response Response with `status`, `config` and 
+         *                  `headers(name)`, like `$http` response
+         * @param {Function} resend Function to send the request again. It
+         *                  gets the request configuration and returns 
+         *                  promise for the response.
+         * @return {Promise} Promise for the response of the retry, or 
+         *                  rejection with the response if it is not retried
+         */
+        function retryResponse(response, resend) {
+            recordFailure(response);
+
+            var rule = response.config && getMatchingRule(response.config);
+
+            // If no matching limter is found or status is not retryable proceed with normal flow.
+            // Retries would only add to the load of server behind open circuit.
+            if(!rule || !isRetryable(rule, response) || getOpenCircuit([{ rule: rule }])) {
+                return rejectResponse(response);
+            }
+
+            var retries = response.config.$$rateLimitRetries || 0;
+            if(retries >= rule.maxRetries) {
+                response.attempts = retries + 1;
+                emit('dropped', { rules: [rule.name], request: response.config, reason: 'retries', response: response });
+                return rejectResponse(response);
+            }
+
+            // Wait at least until the server allows new requests
+            var serverDelay = getServerRetryDelay(response);
+            var retryDelay = Math.max(getBackoffDelay(rule, retries + 1), serverDelay);
+
+            // Keep other requests to the same rule waiting as well, when
+            // server tells that rate limit is exceeded.
+            if(response.status === 429 || serverDelay) {
+                getBucket(rule, getRequestKey(response.config, rule)).drain(+new Date() + retryDelay);
+                emit('bucketEmpty', { rules: [rule.name] });
+            }
+
+            var requestConfiguration = extend({}, response.config, {
+                $$rateLimitRetries: retries + 1
+            });
+            emit('retried', { rules: [rule.name], request: requestConfiguration, attempt: retries + 1, delay: retryDelay, response: response });
+            return setTimer(function() {
+                return resend(requestConfiguration);
+            }, retryDelay);
+        }
+
+
+        /**
+         * Reject the failed response also for the merged requests.
+         * 
+         * @param {Object} response Response object
+         * @return {Promise} Rejected promise
+         */
+        function rejectResponse(response) {
+            env.onSettled(response.config, response, true);
+            return q.reject(response);
+        }
+
+
+        /**
+         * Check if the response can be retried with the rule. Retry is
+         * disabled, if rule's retry interval is negative or not a number.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {Object} response Response object
+         * @return {Boolean} Request can be retried.
+         */
+        function isRetryable(rule, response) {
+            if(isNaN(rule.retryInterval) || rule.retryInterval < 0) {
+                return false;
+            }
+
+            if(rule.retryStatuses.indexOf(response.status) !== -1) {
+                return true;
+            }
+
+            var method = (response.config.method || 'GET').toUpperCase();
+            return IDEMPOTENT_METHODS.indexOf(method) !== -1 &&
+                rule.retryIdempotentStatuses.indexOf(response.status) !== -1;
+        }
+
+
+        /**
+         * Calculate delay before retry using rule's backoff strategy and 
+         * jitter. Delay is limited to rule's `maxRetryInterval`.
+         * 
+         * @param {Object} rule Matching rule
+         * @param {Number} retry Number of the retry, starting from 1
+         * @return {Number} Delay in milliseconds
+         */
+        function getBackoffDelay(rule, retry) {
+            var delay = rule.retryInterval;
+            if(rule.backoff === 'linear') {
+                delay = rule.retryInterval * retry;
+            }
+            else if(rule.backoff === 'exponential') {
+                delay = rule.retryInterval * Math.pow(2, retry - 1);
+            }
+            delay = Math.min(delay, rule.maxRetryInterval);
+
+            if(rule.jitter === 'full') {
+                return Math.random() * delay;
+            }
+            else if(rule.jitter === 'equal') {
+                return delay / 2 + Math.random() * delay / 2;
+            }
+            return delay;
+        }
+
+
+        /**
+         * Get retry delay requested by the server from `Retry-After`, 
+         * `RateLimit-Reset` or `X-RateLimit-Reset` response headers.
+         * 
+         * @param {Object} response Response object
+         * @return {Number} Delay in milliseconds, 0 if server did not give one.
+         */
+        function getServerRetryDelay(response) {
+            if(typeof response.headers !== 'function') {
+                return 0;
+            }
+
+            var retryAfter = response.headers('Retry-After');
+            if(retryAfter) {
+                return parseRetryAfter(retryAfter);
+            }
+
+            var reset = response.headers('RateLimit-Reset') || response.headers('X-RateLimit-Reset');
+            if(reset) {
+                return parseRateLimitReset(reset);
+            }
+
+            return 0;
+        }
+
+
+        /**
+         * Parse `Retry-After` header value, which is either number of seconds
+         * or HTTP-date.
+         * 
+         * @param {String} value Header value
+         * @return {Number} Delay in milliseconds
+         */
+        function parseRetryAfter(value) {
+            value = String(value).trim();
+            if(/^\d+(\.\d+)?$/.test(value)) {
+                return parseFloat(value) * 1000;
+            }
+
+            var date = Date.parse(value);
+            return isNaN(date) ? 0 : Math.max(date - new Date(), 0);
+        }
+
+
+        /**
+         * Parse `RateLimit-Reset` or `X-RateLimit-Reset` header value. Value
+         * is number of seconds until reset, or Unix timestamp in seconds when
+         * value is too large to be a delay.
+         * 
+         * @param {String} value Header value
+         * @return {Number} Delay in milliseconds
+         */
+        function parseRateLimitReset(value) {
+            var seconds = parseFloat(value);
+            if(isNaN(seconds) || seconds < 0) {
+                return 0;
+            }
+
+            // Values larger than year in seconds are considered timestamps
+            if(seconds > UNIX_TIMESTAMP_THRESHOLD) {
+                return Math.max(seconds * 1000 - new Date(), 0);
+            }
+
+            return seconds * 1000;
+        }
+    }
+
+
+    return {
+        parseRate: parseRate,
+        parseDuration: parseDuration,
+        createRule: createRule,
+        copyRule: copyRule,
+        getRuleError: getRuleError,
+        TokenBucket: TokenBucket,
+        SlidingWindowLog: SlidingWindowLog,
+        SlidingWindowCounter: SlidingWindowCounter,
+        FixedWindow: FixedWindow,
+        LeakyBucket: LeakyBucket,
+        PersistentTokenBucket: PersistentTokenBucket,
+        Quota: Quota,
+        SharedTokenBucket: SharedTokenBucket,
+        createStorage: createStorage,
+        createTabSync: createTabSync,
+        createRateLimiter: createRateLimiter
+    };
+});
@@ -0,0 +1,254 @@
+describe('Fetch and XHR adapters', function() {
+    var AngularRateLimiter, $http, $httpBackend, $q, $rootScope, $timeout;
+
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Add rule and enable limiters
+    beforeEach(module(function(AngularRateLimiterProvider) {
+        AngularRateLimiterProvider.addRateLimiter({
+            name: 'api',
+            match: 'api.mydomain.com',
+            rate: '1/s',
+            maxQueueLength: 1
+        });
+        AngularRateLimiterProvider.enableLimiters();
+    }));
+
+    // Get services
+    beforeEach(inject(function(_AngularRateLimiter_, _$http_, _$httpBackend_, _$q_, _$rootScope_, _$timeout_) {
+        AngularRateLimiter = _AngularRateLimiter_;
+        $http = _$http_;
+        $httpBackend = _$httpBackend_;
+        $q = _$q_;
+        $rootScope = _$rootScope_;
+        $timeout = _$timeout_;
+        $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+    }));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+    // Pass time for token bucket and timers
+    function tick(fakeTimer, ms) {
+        fakeTimer.tick(ms);
+        $timeout.flush(ms);
+    }
+
+
+    describe('fetch', function() {
+        var originalFetch, calls, statuses;
+
+        // Replace fetch of the browser with one answering the statuses
+        beforeEach(function() {
+            calls = [];
+            statuses = [];
+            originalFetch = window.fetch;
+            window.fetch = function(input, init) {
+                calls.push({ input: input, init: init });
+                var status = statuses.length ? statuses.shift() : 200;
+                return $q.when({
+                    status: status,
+                    ok: status >= 200 && status < 300,
+                    headers: {
+                        get: function() {
+                            return null;
+                        }
+                    }
+                });
+            };
+        });
+
+        afterEach(function() {
+            window.fetch = originalFetch;
+        });
+
+
+        it('shares bucket with $http requests', function() {
+            var response;
+            $http.get('https://api.mydomain.com/rest');
+            $httpBackend.flush(1);
+
+            AngularRateLimiter.fetch('https://api.mydomain.com/rest', { method: 'get' }).then(function(result) {
+                response = result;
+            });
+            $rootScope.$digest();
+            expect(calls.length).toBe(0);
+            expect(AngularRateLimiter.getStats('api').queueLength).toBe(1);
+
+            tick(this.fakeTimer, 1000);
+            expect(calls.length).toBe(1);
+            expect(calls[0].init.method).toBe('get');
+            expect(response.status).toBe(200);
+        });
+
+
+        it('retries rate limited responses and resolves other failures', function() {
+            var responses = [];
+            statuses = [429, 200, 500];
+            AngularRateLimiter.fetch('https://api.mydomain.com/rest').then(function(result) {
+                responses.push(result);
+            });
+            $rootScope.$digest();
+            expect(calls.length).toBe(1);
+            expect(AngularRateLimiter.getStats('api').tooManyRequests).toBe(1);
+
+            // Retry waits for the token dripping after the retry interval
+            tick(this.fakeTimer, 1050);
+            expect(calls.length).toBe(2);
+            expect(responses[0].status).toBe(200);
+
+            tick(this.fakeTimer, 1000);
+            AngularRateLimiter.fetch('https://api.mydomain.com/rest').then(function(result) {
+                responses.push(result);
+            });
+            $rootScope.$digest();
+            expect(responses[1].status).toBe(500);
+        });
+
+
+        it('counts network failures to the circuit breaker', function() {
+            var error;
+            var networkError = new TypeError('Failed to fetch');
+            window.fetch = function() {
+                return $q.reject(networkError);
+            };
+            AngularRateLimiter.addRule({
+                name: 'flaky',
+                match: 'flaky.mydomain.com',
+                rate: '10/s',
+                circuitBreaker: { failures: 1, statuses: [-1] }
+            });
+
+            AngularRateLimiter.fetch('https://flaky.mydomain.com/rest').catch(function(rejection) {
+                error = rejection;
+            });
+            $rootScope.$digest();
+            expect(error).toBe(networkError);
+            expect(AngularRateLimiter.getStats('flaky').inFlight).toBe(0);
+            expect(AngularRateLimiter.getCircuitState('flaky')).toBe('open');
+        });
+
+
+        it('cancels waiting request with abort signal', function() {
+            var abort, error;
+            var signal = {
+                addEventListener: function(type, listener) {
+                    abort = listener;
+                }
+            };
+            AngularRateLimiter.fetch('https://api.mydomain.com/rest');
+            AngularRateLimiter.fetch('https://api.mydomain.com/rest', { signal: signal }).catch(function(rejection) {
+                error = rejection;
+            });
+            $rootScope.$digest();
+
+            abort();
+            $rootScope.$digest();
+            expect(error.name).toBe('AbortError');
+            expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+            expect(calls.length).toBe(1);
+        });
+    });
+
+
+    describe('XMLHttpRequest', function() {
+        var requests;
+
+        // Capture fake requests
+        beforeEach(function() {
+            requests = [];
+            this.fakeXHR = sinon.useFakeXMLHttpRequest();
+            this.fakeXHR.onCreate = function(xhr) {
+                requests.push(xhr);
+            };
+        });
+
+        afterEach(function() {
+            this.fakeXHR.restore();
+        });
+
+        function send() {
+            var xhr = AngularRateLimiter.createXHR();
+            xhr.open('GET', 'https://api.mydomain.com/rest');
+            xhr.setRequestHeader('Accept', 'application/json');
+            xhr.send();
+            $rootScope.$digest();
+            return xhr;
+        }
+
+
+        it('sends request when it gets tokens', function() {
+            send();
+            send();
+            expect(requests[0].sendFlag).toBe(true);
+            expect(requests[1].sendFlag).toBeFalsy();
+
+            requests[0].respond(200, {}, '');
+            tick(this.fakeTimer, 1000);
+            expect(requests[1].sendFlag).toBe(true);
+            expect(requests[1].requestHeaders.Accept).toBe('application/json');
+        });
+
+
+        it('fails request rejected by the limiter', function() {
+            var failed = false;
+            send();
+            send();
+            var xhr = AngularRateLimiter.createXHR();
+            xhr.onerror = function() {
+                failed = true;
+            };
+            xhr.open('GET', 'https://api.mydomain.com/rest');
+            xhr.send();
+            $rootScope.$digest();
+
+            expect(failed).toBe(true);
+            expect(xhr.rateLimitError.reason).toBe('maxQueueLength');
+            expect(requests[2].sendFlag).toBeFalsy();
+        });
+
+
+        it('handles each response of reused request once', function() {
+            var xhr = send();
+            requests[0].respond(429, {}, '');
+            expect(AngularRateLimiter.getStats('api').tooManyRequests).toBe(1);
+
+            tick(this.fakeTimer, 1000);
+            xhr.open('GET', 'https://api.mydomain.com/rest');
+            xhr.send();
+            $rootScope.$digest();
+            requests[0].respond(429, {}, '');
+            expect(AngularRateLimiter.getStats('api').tooManyRequests).toBe(2);
+        });
+
+
+        it('removes aborted request from the queue', function() {
+            var events = [];
+            send();
+            var xhr = send();
+            xhr.addEventListener('abort', function() {
+                events.push('abort');
+            });
+            xhr.addEventListener('loadend', function() {
+                events.push('loadend');
+            });
+            xhr.onerror = function() {
+                events.push('error');
+            };
+
+            xhr.abort();
+            $rootScope.$digest();
+            expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+            expect(events).toEqual(['abort', 'loadend']);
+            expect(requests[1].sendFlag).toBeFalsy();
+        });
+    });
+});
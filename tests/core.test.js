@@ -0,0 +1,206 @@
+describe('RateLimiterCore', function() {
+    var core = window.RateLimiterCore;
+
+    it('creates rules without angular', function() {
+        var rule = core.createRule({ name: 'api', match: 'api.mydomain.com', rate: '10/s' });
+        expect(rule.tokensPerInterval).toBe(10);
+        expect(rule.tokenInterval).toBe(1000);
+        expect(rule.bucketSize).toBe(10);
+        expect(rule.maxRetries).toBe(3);
+
+        expect(function() {
+            core.createRule({ name: 'api', bucketsize: 10 });
+        }).toThrowError('Rate limiter rule "api": Unknown option "bucketsize"');
+        expect(core.parseRate('5/10s')).toEqual({ tokens: 5, interval: 10000, burst: 5 });
+    });
+
+
+    describe('limiter', function() {
+        var originalFetch, calls, statuses, limiter;
+
+        // Replace fetch of the browser with one answering the statuses
+        beforeEach(function() {
+            if(!window.Promise) {
+                pending('No native Promise');
+            }
+
+            calls = [];
+            statuses = [];
+            originalFetch = window.fetch;
+            window.fetch = function(input, init) {
+                calls.push({ input: input, init: init });
+                var status = statuses.length ? statuses.shift() : 200;
+                return Promise.resolve({
+                    status: status,
+                    ok: status >= 200 && status < 300,
+                    headers: {
+                        get: function() {
+                            return null;
+                        }
+                    }
+                });
+            };
+
+            limiter = core.createRateLimiter({
+                rules: [
+                    core.createRule({ name: 'api', match: 'api.mydomain.com', rate: '20/s', bucketSize: 1, retryInterval: 10 })
+                ]
+            });
+        });
+
+        afterEach(function() {
+            window.fetch = originalFetch;
+        });
+
+        // Promise resolved after real timeout
+        function wait(ms) {
+            return new Promise(function(resolve) {
+                setTimeout(resolve, ms);
+            });
+        }
+
+
+        it('matches and explains requests', function() {
+            expect(limiter.getMatchingRule({ url: 'https://api.mydomain.com/rest' }).name).toBe('api');
+            expect(limiter.getMatchingRule({ url: 'https://www.mydomain.com/' })).toBeUndefined();
+            expect(limiter.explainRequest({ url: 'https://api.mydomain.com/rest' }).action).toBe('send');
+            expect(limiter.getRuleBucket('api').tryRemoveTokens(1)).toBe(true);
+            expect(limiter.explainRequest({ url: 'https://api.mydomain.com/rest' }).action).toBe('queue');
+        });
+
+        it('queues fetch requests for the next token', function(done) {
+            var events = [];
+            limiter.on('throttled', function(event) {
+                events.push(event.type);
+            });
+            limiter.on('released', function(event) {
+                events.push(event.type);
+            });
+
+            var first = limiter.limitFetch('https://api.mydomain.com/rest');
+            var second = limiter.limitFetch('https://api.mydomain.com/rest', { method: 'post' });
+            expect(limiter.getStats('api').queueLength).toBe(1);
+
+            Promise.all([first, second]).then(function(responses) {
+                expect(responses[1].status).toBe(200);
+                expect(calls.length).toBe(2);
+                expect(calls[1].init.method).toBe('post');
+                expect(limiter.getStats('api').totalDelayed).toBe(1);
+                expect(events).toEqual(['throttled', 'released']);
+            }).then(done, done.fail);
+        });
+
+        it('retries fetch requests with the rule policy', function(done) {
+            statuses.push(429);
+            limiter.limitFetch('https://api.mydomain.com/rest').then(function(response) {
+                expect(response.status).toBe(200);
+                expect(calls.length).toBe(2);
+                expect(limiter.getStats('api').tooManyRequests).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('cancels queued fetch with abort signal', function(done) {
+            var abort;
+            var signal = {
+                addEventListener: function(type, listener) {
+                    abort = listener;
+                }
+            };
+            limiter.limitFetch('https://api.mydomain.com/rest');
+            var aborted = limiter.limitFetch('https://api.mydomain.com/rest', { signal: signal });
+            abort();
+
+            aborted.then(done.fail, function(error) {
+                expect(error.name).toBe('AbortError');
+                expect(limiter.getStats('api').queueLength).toBe(0);
+                return wait(100);
+            }).then(function() {
+                expect(calls.length).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('rejects request at maxWait with native timers', function(done) {
+            limiter.addLimiter(core.createRule({ name: 'slow', match: 'slow.mydomain.com', rate: '1/s', maxWait: 20 }));
+            limiter.limitFetch('https://slow.mydomain.com/rest');
+            limiter.limitFetch('https://slow.mydomain.com/rest').then(done.fail, function(error) {
+                expect(error.rateLimitExceeded).toBe(true);
+                expect(error.reason).toBe('maxWait');
+                expect(calls.length).toBe(1);
+            }).then(done, done.fail);
+        });
+
+        it('cancels native timer of released request', function(done) {
+            var clearTimeout = sinon.spy(window, 'clearTimeout');
+            limiter.addLimiter(core.createRule({ name: 'deadline', match: 'deadline.mydomain.com', rate: '20/s', bucketSize: 1, maxWait: 1000 }));
+            limiter.limitFetch('https://deadline.mydomain.com/rest');
+            limiter.limitFetch('https://deadline.mydomain.com/rest').then(function() {
+                clearTimeout.restore();
+                expect(clearTimeout.called).toBe(true);
+                expect(calls.length).toBe(2);
+            }, function(error) {
+                clearTimeout.restore();
+                return Promise.reject(error);
+            }).then(done, done.fail);
+        });
+
+
+        describe('XMLHttpRequest', function() {
+            var fakeXHR, requests;
+
+            // Capture fake requests
+            beforeEach(function() {
+                requests = [];
+                fakeXHR = sinon.useFakeXMLHttpRequest();
+                fakeXHR.onCreate = function(xhr) {
+                    requests.push(xhr);
+                };
+            });
+
+            afterEach(function() {
+                fakeXHR.restore();
+            });
+
+            function send() {
+                var xhr = limiter.createXHR();
+                xhr.open('GET', 'https://api.mydomain.com/rest');
+                xhr.setRequestHeader('Accept', 'application/json');
+                xhr.send();
+                return xhr;
+            }
+
+
+            it('sends queued request when it gets a token', function(done) {
+                send();
+                send();
+                expect(requests[0].sendFlag).toBe(true);
+                expect(requests[1].sendFlag).toBeFalsy();
+                requests[0].respond(429, {}, '');
+                expect(limiter.getStats('api').tooManyRequests).toBe(1);
+
+                wait(100).then(function() {
+                    expect(requests[1].sendFlag).toBe(true);
+                    expect(requests[1].requestHeaders.Accept).toBe('application/json');
+                }).then(done, done.fail);
+            });
+
+            it('dispatches abort events for request aborted while queued', function(done) {
+                var events = [];
+                send();
+                var xhr = send();
+                xhr.addEventListener('abort', function() {
+                    events.push('abort');
+                });
+                xhr.addEventListener('loadend', function() {
+                    events.push('loadend');
+                });
+
+                xhr.abort();
+                expect(events).toEqual(['abort', 'loadend']);
+                wait(100).then(function() {
+                    expect(limiter.getStats('api').queueLength).toBe(0);
+                    expect(requests[1].sendFlag).toBeFalsy();
+                }).then(done, done.fail);
+            });
+        });
+    });
+});
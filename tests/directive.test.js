@@ -0,0 +1,190 @@
+describe('rateLimitClick directive', function() {
+    var $compile, $rootScope, $timeout;
+    var clicks;
+
+    // Compile button with the attributes. Services are injected here, so
+    // nested suites can still configure the module.
+    function compile(attributes) {
+        inject(function(_$compile_, _$rootScope_, _$timeout_) {
+            $compile = _$compile_;
+            $rootScope = _$rootScope_;
+            $timeout = _$timeout_;
+        });
+        $rootScope.save = function(event) {
+            clicks.push(event);
+        };
+
+        var element = $compile('<button rate-limit-click="save($event)" ' + attributes + '></button>')($rootScope);
+        $rootScope.$digest();
+        return element;
+    }
+
+    // Pass time for token bucket and timers
+    function tick(fakeTimer, ms) {
+        fakeTimer.tick(ms);
+        $timeout.flush(ms);
+    }
+
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+    // Reset clicks
+    beforeEach(function() {
+        clicks = [];
+    });
+
+
+    it('drops excess clicks and exposes state', function() {
+        // 2 tokens, 1 token per second
+        var element = compile('rate-limit="2/2s"');
+        var scope = element.scope();
+        expect(scope.$throttled).toBe(false);
+        expect(scope.$remainingTokens).toBe(2);
+
+        element.triggerHandler('click');
+        element.triggerHandler('click');
+        element.triggerHandler('click');
+        expect(clicks.length).toBe(2);
+        expect(scope.$throttled).toBe(true);
+        expect(scope.$remainingTokens).toBe(0);
+        expect(scope.$nextTokenIn).toBe(1000);
+
+        tick(this.fakeTimer, 1000);
+        expect(clicks.length).toBe(2);
+        expect(scope.$throttled).toBe(false);
+        expect(scope.$remainingTokens).toBe(1);
+    });
+
+
+    it('queues excess clicks', function() {
+        var element = compile('rate-limit="1/s" rate-limit-excess="queue"');
+        element.triggerHandler('click');
+        element.triggerHandler('click');
+        element.triggerHandler('click');
+        expect(clicks.length).toBe(1);
+
+        tick(this.fakeTimer, 1000);
+        expect(clicks.length).toBe(2);
+        expect(element.scope().$throttled).toBe(true);
+
+        tick(this.fakeTimer, 1000);
+        expect(clicks.length).toBe(3);
+    });
+
+
+    it('coalesces excess clicks to the last one', function() {
+        var element = compile('rate-limit="1/500ms" rate-limit-excess="coalesce"');
+        element.triggerHandler('click');
+        element.triggerHandler({ type: 'click', which: 2 });
+        element.triggerHandler({ type: 'click', which: 3 });
+
+        tick(this.fakeTimer, 500);
+        expect(clicks.length).toBe(2);
+        expect(clicks[1].which).toBe(3);
+
+        tick(this.fakeTimer, 500);
+        expect(clicks.length).toBe(2);
+    });
+
+
+    it('counts down while throttled', function() {
+        var element = compile('rate-limit="1/5s"');
+        element.triggerHandler('click');
+        expect(element.scope().$nextTokenIn).toBe(5000);
+
+        tick(this.fakeTimer, 1000);
+        expect(element.scope().$nextTokenIn).toBe(4000);
+    });
+
+
+    it('throws error on invalid rate', function() {
+        expect(function() {
+            compile('rate-limit="5 per second"');
+        }).toThrowError('Invalid rate "5 per second"');
+        expect(function() {
+            compile('rate-limit="1/s" rate-limit-excess="debounce"');
+        }).toThrowError('Invalid rate-limit-excess value');
+    });
+
+
+    describe('with rule', function() {
+        beforeEach(module(function(AngularRateLimiterProvider) {
+            AngularRateLimiterProvider.addRateLimiter({
+                name: 'api',
+                match: 'api.mydomain.com',
+                bucketSize: 1,
+                tokensPerInterval: 1,
+                tokenInterval: 1000
+            });
+            AngularRateLimiterProvider.enableLimiters();
+        }));
+
+
+        it('shares bucket with HTTP requests', function() {
+            inject(function($http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                var element = compile('rate-limit-rule="api"');
+
+                element.triggerHandler('click');
+                expect(clicks.length).toBe(1);
+
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                $httpBackend.verifyNoOutstandingRequest();
+
+                tick(this.fakeTimer, 1000);
+                $httpBackend.flush(1);
+                element.triggerHandler('click');
+                expect(clicks.length).toBe(1);
+            });
+        });
+
+
+        it('queues clicks behind waiting requests', function() {
+            inject(function($http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                var element = compile('rate-limit-rule="api" rate-limit-excess="queue"');
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+                element.triggerHandler('click');
+                expect(clicks.length).toBe(0);
+                expect(element.scope().$throttled).toBe(true);
+
+                tick(this.fakeTimer, 1000);
+                $httpBackend.flush(1);
+                expect(clicks.length).toBe(0);
+
+                tick(this.fakeTimer, 1000);
+                expect(clicks.length).toBe(1);
+            });
+        });
+
+
+        it('stops counting down when destroyed with a queued click', function() {
+            inject(function($verifyNoPendingTasks) {
+                var element = compile('rate-limit-rule="api" rate-limit-excess="queue"');
+                element.triggerHandler('click');
+                element.triggerHandler('click');
+                expect(clicks.length).toBe(1);
+
+                element.scope().$destroy();
+                $rootScope.$digest();
+                $verifyNoPendingTasks('$timeout');
+                tick(this.fakeTimer, 1000);
+                expect(clicks.length).toBe(1);
+            });
+        });
+    });
+});
@@ -85,6 +85,24 @@ describe('AngularRateLimiterInterceptor', function() {
                         tokenInterval: 100,
                         requestDelay: 50,
                         retryInterval: 0                        
+                    },
+                    {
+                        match: 'weighted.com',
+                        bucketSize: 4,
+                        tokensPerInterval: 2,
+                        tokenInterval: 100,
+                        retryInterval: 0,
+                        cost: function(request) {
+                            return request.method === 'POST' ? 3 : 1;
+                        }
+                    },
+                    {
+                        match: 'nodigest.com',
+                        bucketSize: 1,
+                        tokensPerInterval: 1,
+                        tokenInterval: 100,
+                        skipDigest: true,
+                        retryInterval: 0
                     }
                 ]
             });
@@ -92,7 +110,7 @@ describe('AngularRateLimiterInterceptor', function() {
 
 
         it('limits request to configured rule', function(done) {
-            inject(function(AngularRateLimiterInterceptor, $interval) {
+            inject(function(AngularRateLimiterInterceptor, $timeout) {
                 var interceptor = AngularRateLimiterInterceptor;
                 expect(interceptor.request).not.toBe(undefined);
 
@@ -115,9 +133,214 @@ describe('AngularRateLimiterInterceptor', function() {
                     done();
                 });
 
-                // Use fake timers to shift time and flush angular $interval
+                // Use fake timers to shift time and flush angular $timeout
+                this.fakeTimer.tick(50);
+                $timeout.flush(50);
+            });
+        });
+
+
+        it('releases queued requests in arrival order', function() {
+            inject(function(AngularRateLimiterInterceptor, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var released = [];
+
+                // Empty the bucket
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+
+                [1, 2, 3].forEach(function(id) {
+                    interceptor.request({ url: 'https://api.mydomain.com/rest', id: id }).then(function(request) {
+                        released.push(request.id);
+                    });
+                });
+
+                // New token is available every 50ms
+                this.fakeTimer.tick(50);
+                $timeout.flush(50);
+                expect(released).toEqual([1]);
+
+                // Later request cannot take token before queued ones
+                this.fakeTimer.tick(50);
+                interceptor.request({ url: 'https://api.mydomain.com/rest', id: 4 }).then(function(request) {
+                    released.push(request.id);
+                });
+                $timeout.flush(50);
+                expect(released).toEqual([1, 2]);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toEqual([1, 2, 3, 4]);
+            });
+        });
+
+
+        it('uses single timer for queued requests', function() {
+            inject(function(AngularRateLimiterInterceptor, $browser, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+
+                for(var i = 0; i < 10; i++) {
+                    interceptor.request({ url: 'https://api.mydomain.com/rest' });
+                }
+                expect($browser.deferredFns.length).toBe(1);
+
+                // Timer is re-armed for the next token after it fires
                 this.fakeTimer.tick(50);
-                $interval.flush(50);
+                $timeout.flush(50);
+                expect($browser.deferredFns.length).toBe(1);
+                expect($browser.deferredFns[0].time).toBe(100);
+            });
+        });
+
+
+        it('skips digest while waiting if configured', function() {
+            inject(function(AngularRateLimiterInterceptor, $rootScope, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var released = false;
+                var digest = sinon.spy($rootScope, '$digest');
+
+                interceptor.request({ url: 'https://nodigest.com' });
+                interceptor.request({ url: 'https://nodigest.com' }).then(function() {
+                    released = true;
+                });
+
+                // Timer fires before the clock has dripped a token
+                $timeout.flush(100);
+                expect(released).toBe(false);
+                expect(digest.called).toBe(false);
+
+                // Releasing request resolves the promise in a digest
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toBe(true);
+                expect(digest.called).toBe(true);
+            });
+        });
+
+
+        it('cancels queued request when timeout promise resolves', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var canceler = $q.defer();
+                var rejection, released = false;
+
+                // Empty the bucket
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+
+                interceptor.request({ url: 'https://api.mydomain.com/rest', timeout: canceler.promise }).catch(function(response) {
+                    rejection = response;
+                });
+                interceptor.request({ url: 'https://api.mydomain.com/rest' }).then(function() {
+                    released = true;
+                });
+
+                canceler.resolve();
+                $rootScope.$digest();
+                expect(rejection.status).toBe(-1);
+                expect(rejection.xhrStatus).toBe('abort');
+
+                // Cancelled request did not consume the next token
+                this.fakeTimer.tick(50);
+                $timeout.flush(50);
+                expect(released).toBe(true);
+            });
+        });
+
+
+        it('cancels queued request when numeric timeout passes', function() {
+            inject(function(AngularRateLimiterInterceptor, $browser, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var rejection;
+                var requestObject = { url: 'https://api.mydomain.com/rest', timeout: 80 };
+
+                // Empty the bucket
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+                interceptor.request({ url: 'https://api.mydomain.com/rest' });
+
+                // Request which gets token in time has less time left for the $http
+                interceptor.request(requestObject);
+                this.fakeTimer.tick(50);
+                $timeout.flush(50);
+                expect(requestObject.timeout).toBe(30);
+
+                interceptor.request({ url: 'https://api.mydomain.com/rest', timeout: 30 }).catch(function(response) {
+                    rejection = response;
+                });
+                $timeout.flush(30);
+                expect(rejection.status).toBe(-1);
+                expect(rejection.xhrStatus).toBe('timeout');
+                expect($browser.deferredFns.length).toBe(0);
+            });
+        });
+
+
+        it('consumes tokens by request cost', function() {
+            inject(function(AngularRateLimiterInterceptor, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var postObject = { method: 'POST', url: 'https://weighted.com' };
+                var getObject = { method: 'GET', url: 'https://weighted.com' };
+                var released = false;
+
+                // POST costs 3 tokens and GET costs 1
+                expect(interceptor.request(postObject)).toBe(postObject);
+                expect(interceptor.request(getObject)).toBe(getObject);
+                expect(interceptor.request(getObject)).not.toBe(getObject);
+
+                // Request cost can be overridden, 2 tokens are dripped in 100ms
+                interceptor.request({ method: 'GET', url: 'https://weighted.com', rateLimit: { cost: 2 } }).then(function() {
+                    released = true;
+                });
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toBe(false);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toBe(true);
+            });
+        });
+
+
+        it('rejects request which costs more than bucket size', function() {
+            inject(function(AngularRateLimiterInterceptor, $rootScope) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var rejection;
+
+                interceptor.request({ url: 'https://weighted.com', rateLimit: { cost: 5 } }).catch(function(error) {
+                    rejection = error;
+                });
+                $rootScope.$digest();
+
+                expect(rejection instanceof Error).toBe(true);
+                expect(rejection.message).toBe('Request cost 5 exceeds rate limiter bucket size 4');
+            });
+        });
+
+
+        it('rejects request with invalid cost without changing the bucket', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var rejections = [];
+
+                angular.forEach(['abc', -2, NaN, Infinity], function(cost) {
+                    $q.when(interceptor.request({ url: 'https://weighted.com', rateLimit: { cost: cost } })).catch(function(error) {
+                        rejections.push(error);
+                    });
+                });
+                $rootScope.$digest();
+
+                expect(rejections.length).toBe(4);
+                expect(rejections[0].rateLimitExceeded).toBe(true);
+                expect(rejections[0].reason).toBe('cost');
+                expect(rejections[0].message).toBe('Invalid request cost abc');
+
+                // Bucket still holds 4 tokens
+                var getObject = { url: 'https://weighted.com' };
+                for(var i = 0; i < 4; i++) {
+                    expect(interceptor.request(getObject)).toBe(getObject);
+                }
+                expect(interceptor.request(getObject)).not.toBe(getObject);
             });
         });
 
@@ -165,4 +388,531 @@ describe('AngularRateLimiterInterceptor', function() {
             });
         });
     });
+
+    describe('hierarchical limiter', function() {
+        // Init sinon timers
+        beforeEach(function() {
+            this.fakeTimer = new sinon.useFakeTimers();
+        });
+
+        // Restore normal timers
+        afterEach(function() {
+            this.fakeTimer.restore();
+        });
+
+        // Mock configuration
+        beforeEach(module(function($provide) {
+            $provide.value('AngularRateLimiter', {
+                rules: [
+                    {
+                        // Global limit, 1 token every 300ms
+                        match: '',
+                        bucketSize: 3,
+                        tokensPerInterval: 3,
+                        tokenInterval: 900,
+                        retryInterval: 0
+                    },
+                    {
+                        // Partner limit, 1 token every 200ms
+                        match: 'partner.com',
+                        bucketSize: 1,
+                        tokensPerInterval: 1,
+                        tokenInterval: 200,
+                        retryInterval: 0
+                    }
+                ]
+            });
+        }));
+
+
+        it('consumes tokens from all matching rules', function() {
+            inject(function(AngularRateLimiterInterceptor) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var partnerObject = { url: 'https://api.partner.com' };
+                var otherObject = { url: 'https://example.com' };
+
+                // Partner request takes the only partner token and one global token
+                expect(interceptor.request(partnerObject)).toBe(partnerObject);
+                expect(interceptor.request(otherObject)).toBe(otherObject);
+                expect(interceptor.request(partnerObject)).not.toBe(partnerObject);
+            });
+        });
+
+
+        it('does not hold tokens while waiting for other buckets', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var released = [];
+                function request(url, id) {
+                    $q.when(interceptor.request({ url: url, id: id })).then(function(request) {
+                        released.push(request.id);
+                    });
+                }
+
+                // Partner request waits for partner token, but does not 
+                // reserve the two global tokens left
+                request('https://api.partner.com', 'partner1');
+                request('https://api.partner.com', 'partner2');
+                request('https://example.com', 'other1');
+                request('https://example.com', 'other2');
+                $timeout.flush(0);
+                expect(released).toEqual(['partner1', 'other1', 'other2']);
+
+                // Global bucket is empty when partner token arrives, so 
+                // partner request reserves the global bucket.
+                this.fakeTimer.tick(200);
+                $timeout.flush(200);
+                request('https://example.com', 'other3');
+                $timeout.flush(0);
+                expect(released).toEqual(['partner1', 'other1', 'other2']);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toEqual(['partner1', 'other1', 'other2', 'partner2']);
+
+                this.fakeTimer.tick(300);
+                $timeout.flush(300);
+                expect(released).toEqual(['partner1', 'other1', 'other2', 'partner2', 'other3']);
+            });
+        });
+    });
+
+
+    describe('queue limits', function() {
+        // Init sinon timers
+        beforeEach(function() {
+            this.fakeTimer = new sinon.useFakeTimers();
+        });
+
+        // Restore normal timers
+        afterEach(function() {
+            this.fakeTimer.restore();
+        });
+
+        // Mock configuration with 1 token every 100ms
+        beforeEach(module(function($provide) {
+            function rule(name, options) {
+                return angular.extend({
+                    name: name,
+                    match: name + '.com',
+                    bucketSize: 1,
+                    tokensPerInterval: 1,
+                    tokenInterval: 100,
+                    retryInterval: 0
+                }, options);
+            }
+
+            $provide.value('AngularRateLimiter', {
+                rules: [
+                    rule('reject', { maxQueueLength: 2, queueOverflow: 'reject' }),
+                    rule('oldest', { maxQueueLength: 2, queueOverflow: 'dropOldest' }),
+                    rule('bypass', { maxQueueLength: 2, queueOverflow: 'bypass' }),
+                    rule('wait', { maxWait: 150 }),
+                    rule('slot', { bucketSize: 5, tokensPerInterval: 5, maxConcurrent: 1, maxWait: 100 }),
+                    rule('late', { bucketSize: 5, tokensPerInterval: 5, maxConcurrent: 1, maxWait: 100, waitOverflow: 'bypass' })
+                ]
+            });
+        }));
+
+        // Send requests and collect their results
+        function sendRequests(interceptor, $q, url, count) {
+            var results = [];
+            for(var i = 0; i < count; i++) {
+                results.push({});
+            }
+
+            angular.forEach(results, function(result) {
+                $q.when(interceptor.request({ url: url })).then(function() {
+                    result.sent = true;
+                }, function(error) {
+                    result.error = error;
+                });
+            });
+            return results;
+        }
+
+
+        it('rejects new request when queue is full', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope) {
+                var results = sendRequests(AngularRateLimiterInterceptor, $q, 'https://reject.com', 4);
+                $rootScope.$digest();
+
+                expect(results[0].sent).toBe(true);
+                expect(results[1].error).toBe(undefined);
+                expect(results[2].error).toBe(undefined);
+                expect(results[3].error.rateLimitExceeded).toBe(true);
+                expect(results[3].error.rule).toBe('reject');
+                expect(results[3].error.reason).toBe('maxQueueLength');
+            });
+        });
+
+
+        it('drops oldest queued request when queue is full', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope) {
+                var results = sendRequests(AngularRateLimiterInterceptor, $q, 'https://oldest.com', 4);
+                $rootScope.$digest();
+
+                expect(results[0].sent).toBe(true);
+                expect(results[1].error.rateLimitExceeded).toBe(true);
+                expect(results[1].error.rule).toBe('oldest');
+                expect(results[2].error).toBe(undefined);
+                expect(results[3].error).toBe(undefined);
+            });
+        });
+
+
+        it('sends request without limiting when queue is full', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope) {
+                var results = sendRequests(AngularRateLimiterInterceptor, $q, 'https://bypass.com', 4);
+                $rootScope.$digest();
+
+                expect(results[0].sent).toBe(true);
+                expect(results[1].sent).toBe(undefined);
+                expect(results[2].sent).toBe(undefined);
+                expect(results[3].sent).toBe(true);
+            });
+        });
+
+
+        it('rejects request which would wait longer than max wait', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $rootScope) {
+                var results = sendRequests(AngularRateLimiterInterceptor, $q, 'https://wait.com', 3);
+                $rootScope.$digest();
+
+                // Second request waits 100ms and third one would wait 200ms
+                expect(results[0].sent).toBe(true);
+                expect(results[1].error).toBe(undefined);
+                expect(results[2].error.rateLimitExceeded).toBe(true);
+                expect(results[2].error.reason).toBe('maxWait');
+            });
+        });
+
+
+        it('rejects queued request when max wait passes', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $timeout) {
+                // Second request waits for the slot of the first one
+                var results = sendRequests(AngularRateLimiterInterceptor, $q, 'https://slot.com', 2);
+                this.fakeTimer.tick(99);
+                $timeout.flush(99);
+                expect(results[0].sent).toBe(true);
+                expect(results[1].error).toBe(undefined);
+
+                this.fakeTimer.tick(1);
+                $timeout.flush(1);
+                expect(results[1].error.rateLimitExceeded).toBe(true);
+                expect(results[1].error.rule).toBe('slot');
+                expect(results[1].error.reason).toBe('maxWait');
+            });
+        });
+
+
+        it('rejects request held by pause when max wait passes', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                interceptor.pause('wait');
+                var results = sendRequests(interceptor, $q, 'https://wait.com', 1);
+
+                this.fakeTimer.tick(150);
+                $timeout.flush(150);
+                expect(results[0].error.reason).toBe('maxWait');
+                expect(interceptor.getStats('wait').queueLength).toBe(0);
+            });
+        });
+
+
+        it('sends queued request without limiting when max wait passes', function() {
+            inject(function(AngularRateLimiterInterceptor, $q, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var results = sendRequests(interceptor, $q, 'https://late.com', 2);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(results[1].sent).toBe(true);
+                expect(interceptor.getStats('late').inFlight).toBe(1);
+            });
+        });
+    });
+
+
+    describe('retry limiter', function() {
+        // Init sinon timers
+        beforeEach(function() {
+            this.fakeTimer = new sinon.useFakeTimers();
+        });
+
+        // Restore normal timers
+        afterEach(function() {
+            this.fakeTimer.restore();
+        });
+
+        // Mock configuration
+        beforeEach(module(function($provide) {
+            $provide.value('AngularRateLimiter', {
+                rules: [
+                    {
+                        match: 'mydomain.com',
+                        bucketSize: 2,
+                        tokensPerInterval: 2,
+                        tokenInterval: 100,
+                        requestDelay: 50,
+                        retryInterval: 50
+                    },
+                    {
+                        match: 'backoff.com',
+                        bucketSize: 10,
+                        tokensPerInterval: 10,
+                        tokenInterval: 100,
+                        requestDelay: 50,
+                        retryInterval: 50,
+                        maxRetries: 2,
+                        backoff: 'exponential',
+                        maxRetryInterval: 1000,
+                        jitter: 'none',
+                        retryStatuses: [429, 503],
+                        retryIdempotentStatuses: [502]
+                    },
+                    {
+                        match: 'noretry.com',
+                        bucketSize: 10,
+                        tokensPerInterval: 10,
+                        tokenInterval: 100,
+                        requestDelay: 50,
+                        retryInterval: -1
+                    },
+                    {
+                        match: 'jitter.com',
+                        bucketSize: 10,
+                        tokensPerInterval: 10,
+                        tokenInterval: 100,
+                        requestDelay: 50,
+                        retryInterval: 50,
+                        jitter: 'equal'
+                    }
+                ]
+            });
+        }));
+
+        // Create 429 response object with given headers
+        function tooManyRequests(headers) {
+            return {
+                status: 429,
+                config: { method: 'GET', url: 'https://api.mydomain.com/rest' },
+                headers: function(name) {
+                    return headers[name] || null;
+                }
+            };
+        }
+
+
+        it('retries request after retry interval', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                $httpBackend.expectGET('https://api.mydomain.com/rest').respond(200);
+
+                interceptor.responseError(tooManyRequests({}));
+
+                $timeout.flush(49);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+
+
+        it('waits seconds given in Retry-After header', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                $httpBackend.expectGET('https://api.mydomain.com/rest').respond(200);
+
+                interceptor.responseError(tooManyRequests({ 'Retry-After': '2' }));
+
+                $timeout.flush(1999);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+
+
+        it('waits until HTTP-date given in Retry-After header', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                $httpBackend.expectGET('https://api.mydomain.com/rest').respond(200);
+
+                // Fake timer starts from Unix epoch
+                interceptor.responseError(tooManyRequests({ 'Retry-After': 'Thu, 01 Jan 1970 00:00:03 GMT' }));
+
+                $timeout.flush(2999);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+
+
+        it('waits seconds given in RateLimit-Reset header', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                $httpBackend.expectGET('https://api.mydomain.com/rest').respond(200);
+
+                interceptor.responseError(tooManyRequests({ 'RateLimit-Reset': '1' }));
+
+                $timeout.flush(999);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+
+
+        it('waits until Unix timestamp given in X-RateLimit-Reset header', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                $httpBackend.expectGET('https://api.mydomain.com/rest').respond(200);
+
+                // Move clock 400 days forward and reset 2 seconds after that
+                this.fakeTimer.tick(400 * 24 * 60 * 60 * 1000);
+                var reset = 400 * 24 * 60 * 60 + 2;
+                interceptor.responseError(tooManyRequests({ 'X-RateLimit-Reset': String(reset) }));
+
+                $timeout.flush(1999);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+
+
+        it('drains bucket until request can be retried', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var requestObject = { url: 'https://api.mydomain.com/rest' };
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+
+                interceptor.responseError(tooManyRequests({ 'Retry-After': '1' }));
+
+                // Bucket is empty, so request has to wait until retry time
+                var released = false;
+                interceptor.request(requestObject).then(function() {
+                    released = true;
+                });
+
+                this.fakeTimer.tick(950);
+                $timeout.flush(950);
+                expect(released).toBe(false);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                expect(released).toBe(true);
+            });
+        });
+
+
+        describe('with $http', function() {
+            // Use interceptor with $http
+            beforeEach(module(function($httpProvider) {
+                $httpProvider.interceptors.push('AngularRateLimiterInterceptor');
+            }));
+
+
+            it('rejects response with attempt count when retries run out', function() {
+                inject(function($http, $httpBackend, $timeout) {
+                    var rejection;
+                    $httpBackend.whenGET('https://api.backoff.com/rest').respond(503);
+
+                    $http.get('https://api.backoff.com/rest').catch(function(response) {
+                        rejection = response;
+                    });
+
+                    // Exponential backoff waits 50ms and 100ms between requests
+                    $httpBackend.flush(1);
+                    $timeout.flush(49);
+                    $httpBackend.verifyNoOutstandingRequest();
+                    $timeout.flush(1);
+                    $httpBackend.flush(1);
+                    $timeout.flush(99);
+                    $httpBackend.verifyNoOutstandingRequest();
+                    $timeout.flush(1);
+                    $httpBackend.flush(1);
+
+                    expect(rejection.status).toBe(503);
+                    expect(rejection.attempts).toBe(3);
+                    $timeout.flush(1000);
+                    $httpBackend.verifyNoOutstandingRequest();
+                });
+            });
+
+
+            it('retries idempotent statuses only for idempotent methods', function() {
+                inject(function($http, $httpBackend, $timeout) {
+                    var getResponse, postRejection;
+                    $httpBackend.expectGET('https://api.backoff.com/rest').respond(502);
+                    $httpBackend.expectPOST('https://api.backoff.com/rest').respond(502);
+
+                    $http.get('https://api.backoff.com/rest').then(function(response) {
+                        getResponse = response;
+                    });
+                    $http.post('https://api.backoff.com/rest', {}).catch(function(response) {
+                        postRejection = response;
+                    });
+
+                    $httpBackend.flush(2);
+                    expect(postRejection.status).toBe(502);
+
+                    $httpBackend.expectGET('https://api.backoff.com/rest').respond(200);
+                    $timeout.flush(50);
+                    $httpBackend.flush();
+                    expect(getResponse.status).toBe(200);
+                });
+            });
+
+
+            it('does not retry when retry interval is negative', function() {
+                inject(function($http, $httpBackend, $timeout) {
+                    var rejection;
+                    $httpBackend.whenGET('https://api.noretry.com/rest').respond(429);
+
+                    $http.get('https://api.noretry.com/rest').catch(function(response) {
+                        rejection = response;
+                    });
+                    $httpBackend.flush();
+
+                    expect(rejection.status).toBe(429);
+                    $timeout.flush(1000);
+                    $httpBackend.verifyNoOutstandingRequest();
+                });
+            });
+        });
+
+
+        it('adds jitter to retry interval', function() {
+            inject(function(AngularRateLimiterInterceptor, $httpBackend, $timeout) {
+                var interceptor = AngularRateLimiterInterceptor;
+                var response = tooManyRequests({});
+                response.config.url = 'https://api.jitter.com/rest';
+                $httpBackend.expectGET('https://api.jitter.com/rest').respond(200);
+
+                var random = sinon.stub(Math, 'random').returns(0.5);
+                interceptor.responseError(response);
+                random.restore();
+
+                // Equal jitter waits half of interval and random part of the other half
+                $timeout.flush(37);
+                $httpBackend.verifyNoOutstandingRequest();
+                $timeout.flush(1);
+                $httpBackend.flush();
+                $httpBackend.verifyNoOutstandingExpectation();
+            });
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,147 @@
+describe('Rule matchers', function() {
+    var AngularRateLimiter, $http, $httpBackend, $rootScope;
+
+    // Tell if the request takes a token of rule 'test'
+    function matches(request) {
+        AngularRateLimiter.reset('test');
+        $http(angular.extend({ method: 'GET' }, request));
+        $rootScope.$digest();
+        return AngularRateLimiter.getStats('test').tokensAvailable === 0;
+    }
+
+    // Add rule with the match value
+    function addRule(match, option) {
+        AngularRateLimiter.addRule(angular.extend({
+            name: 'test',
+            match: match,
+            bucketSize: 1,
+            tokensPerInterval: 1,
+            tokenInterval: 1000
+        }, option));
+    }
+
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Enable limiters
+    beforeEach(module(function(AngularRateLimiterProvider) {
+        AngularRateLimiterProvider.enableLimiters();
+    }));
+
+    // Get services
+    beforeEach(inject(function(_AngularRateLimiter_, _$http_, _$httpBackend_, _$rootScope_) {
+        AngularRateLimiter = _AngularRateLimiter_;
+        $http = _$http_;
+        $httpBackend = _$httpBackend_;
+        $rootScope = _$rootScope_;
+        angular.forEach(['GET', 'HEAD', 'POST', 'PUT'], function(method) {
+            $httpBackend.when(method, /.*/).respond(200);
+        });
+    }));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+
+    it('matches strings literally', function() {
+        addRule('api.mydomain.com');
+        expect(matches({ url: 'https://apiXmydomain.com/rest' })).toBe(true);
+
+        AngularRateLimiter.updateRule('test', { literal: true });
+        expect(matches({ url: 'https://apiXmydomain.com/rest' })).toBe(false);
+        expect(matches({ url: 'https://api.mydomain.com/rest' })).toBe(true);
+    });
+
+
+    it('matches URL with params', function() {
+        addRule('/api/search?q=rates');
+        expect(matches({ url: '/api/search', params: { q: 'rates' } })).toBe(false);
+
+        AngularRateLimiter.updateRule('test', { literal: true });
+        expect(matches({ url: '/api/search', params: { q: 'rates' } })).toBe(true);
+        expect(matches({ url: '/api/search', params: { q: 'limits' } })).toBe(false);
+    });
+
+
+    it('matches URL as given without resolving it', function() {
+        addRule(/^\/api\//);
+        expect(matches({ url: '/api/search' })).toBe(true);
+        expect(matches({ url: 'https://api.mydomain.com/api/search' })).toBe(false);
+
+        AngularRateLimiter.updateRule('test', { match: { path: '/api/**' } });
+        expect(matches({ url: '/search/api/' })).toBe(false);
+        expect(matches({ url: 'https://api.mydomain.com/api/search' })).toBe(true);
+    });
+
+
+    it('matches method, host and path', function() {
+        addRule({
+            method: ['POST', 'put'],
+            host: '*.mydomain.com',
+            path: '/api/projects/:id/**'
+        });
+        expect(matches({ method: 'POST', url: 'https://api.mydomain.com/api/projects/1/tasks/2' })).toBe(true);
+        expect(matches({ method: 'PUT', url: 'https://API.mydomain.com/api/projects/1/files' })).toBe(true);
+        expect(matches({ method: 'GET', url: 'https://api.mydomain.com/api/projects/1/tasks' })).toBe(false);
+        expect(matches({ method: 'POST', url: 'https://mydomain.com/api/projects/1/tasks' })).toBe(false);
+        expect(matches({ method: 'POST', url: 'https://api.mydomain.com/api/projects/1' })).toBe(false);
+    });
+
+
+    it('matches headers and params with predicates', function() {
+        addRule({
+            headers: { 'x-tenant': /^acme/, Authorization: true },
+            params: {
+                page: function(page) {
+                    return page > 1;
+                },
+                debug: false
+            }
+        });
+        var headers = { 'X-Tenant': 'acme-1', Authorization: 'Bearer token' };
+        expect(matches({ url: '/rest', headers: headers, params: { page: 2 } })).toBe(true);
+        expect(matches({ url: '/rest', headers: headers, params: { page: 1 } })).toBe(false);
+        expect(matches({ url: '/rest', headers: headers, params: { page: 2, debug: 1 } })).toBe(false);
+        expect(matches({ url: '/rest', headers: { 'X-Tenant': 'acme-1' }, params: { page: 2 } })).toBe(false);
+    });
+
+
+    it('combines matchers', function() {
+        addRule({
+            any: ['search.mydomain.com', { path: '/api/search/**' }],
+            not: { method: 'HEAD' }
+        });
+        expect(matches({ url: 'https://search.mydomain.com/rest' })).toBe(true);
+        expect(matches({ url: 'https://api.mydomain.com/api/search/projects' })).toBe(true);
+        expect(matches({ method: 'HEAD', url: 'https://search.mydomain.com/rest' })).toBe(false);
+        expect(matches({ url: 'https://api.mydomain.com/api/projects' })).toBe(false);
+
+        AngularRateLimiter.updateRule('test', {
+            match: {
+                all: [{ host: 'api.mydomain.com' }, /\/v2\//]
+            }
+        });
+        expect(matches({ url: 'https://api.mydomain.com/v2/projects' })).toBe(true);
+        expect(matches({ url: 'https://api.mydomain.com/v1/projects' })).toBe(false);
+    });
+
+
+    it('throws error on invalid matcher', function() {
+        expect(function() {
+            addRule({ hostname: 'api.mydomain.com' });
+        }).toThrowError('Rate limiter rule "test": Invalid match condition "hostname"');
+        expect(function() {
+            addRule({ any: 'api.mydomain.com' });
+        }).toThrowError('Rate limiter rule "test": Invalid match condition "any"');
+        expect(function() {
+            addRule(42);
+        }).toThrowError('Rate limiter rule "test": Invalid match value');
+    });
+});
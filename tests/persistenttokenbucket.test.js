@@ -0,0 +1,142 @@
+describe('PersistentTokenBucket', function() {
+    var storage;
+
+    // In-memory storage kept over page reloads
+    function createStorage() {
+        var items = {};
+        return {
+            items: items,
+            get: function(key) {
+                return items[key];
+            },
+            set: function(key, value) {
+                items[key] = value;
+            }
+        };
+    }
+
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Init storage
+    beforeEach(function() {
+        storage = createStorage();
+    });
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+
+    describe('bucket', function() {
+        var PersistentTokenBucket;
+
+        // Get PersistentTokenBucket service
+        beforeEach(inject(function(AngularRateLimiterPersistentTokenBucket) {
+            PersistentTokenBucket = AngularRateLimiterPersistentTokenBucket;
+        }));
+
+
+        it('restores state with tokens dripped since', function() {
+            // 5 tokens with drip 1 token every 100ms
+            var bucket = new PersistentTokenBucket('api', 5, 1, 100, storage);
+            expect(bucket.tryRemoveTokens(5)).toBe(true);
+
+            // Reload page after 200ms
+            this.fakeTimer.tick(200);
+            bucket = new PersistentTokenBucket('api', 5, 1, 100, storage);
+            expect(bucket.tryRemoveTokens(2)).toBe(true);
+            expect(bucket.tryRemoveTokens(1)).toBe(false);
+        });
+
+
+        it('ignores corrupted and stale state', function() {
+            storage.set('angularRateLimiter:bucket:api', '{"content":');
+            var bucket = new PersistentTokenBucket('api', 5, 1, 100, storage);
+            expect(bucket.content).toBe(5);
+
+            storage.set('angularRateLimiter:bucket:api', { content: 0, lastDrip: +new Date() + 1000 });
+            bucket = new PersistentTokenBucket('api', 5, 1, 100, storage);
+            expect(bucket.content).toBe(5);
+        });
+
+
+        it('namespaces state by name', function() {
+            var bucket = new PersistentTokenBucket('api', 5, 1, 100, storage);
+            bucket.tryRemoveTokens(5);
+
+            bucket = new PersistentTokenBucket('search', 5, 1, 100, storage);
+            expect(bucket.content).toBe(5);
+            expect(storage.items['angularRateLimiter:bucket:api'].content).toBe(0);
+        });
+    });
+
+
+    describe('with persisted rule', function() {
+        beforeEach(module(function(AngularRateLimiterProvider) {
+            AngularRateLimiterProvider.addRateLimiter([{
+                name: 'api',
+                match: 'api.mydomain.com',
+                bucketSize: 1,
+                tokensPerInterval: 1,
+                tokenInterval: 1000,
+                persist: storage
+            }, {
+                name: 'session',
+                match: 'session.mydomain.com',
+                bucketSize: 1,
+                persist: 'sessionStorage'
+            }]);
+            AngularRateLimiterProvider.enableLimiters();
+        }));
+
+        // Clean session storage
+        afterEach(inject(function($window) {
+            $window.sessionStorage.removeItem('angularRateLimiter:bucket:session');
+        }));
+
+
+        it('restores bucket when limiters are built', function() {
+            storage.set('angularRateLimiter:bucket:api', { content: 0, lastDrip: +new Date() });
+
+            inject(function($http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                $httpBackend.verifyNoOutstandingRequest();
+            });
+        });
+
+
+        it('saves bucket to session storage', function() {
+            inject(function($http, $httpBackend, $window) {
+                $httpBackend.whenGET('https://session.mydomain.com/rest').respond(200);
+
+                $http.get('https://session.mydomain.com/rest');
+                $httpBackend.flush(1);
+
+                var state = angular.fromJson($window.sessionStorage.getItem('angularRateLimiter:bucket:session'));
+                expect(state.content).toBe(0);
+            });
+        });
+
+
+        it('validates persist option', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule({ name: 'search', match: 'search.com', persist: 'cookies' });
+                }).toThrowError('Rate limiter rule "search": Invalid persist value');
+                expect(function() {
+                    AngularRateLimiter.addRule({ match: 'search.com', persist: 'localStorage' });
+                }).toThrowError('Rate limiter rule matching "search.com": No name configured for persisted rate limiter');
+            });
+        });
+    });
+});
@@ -1,9 +1,101 @@
 describe('AngularRateLimiterProvider', function() {
-    
-    xit('throws error on invalid configuration');
-    xit('throws error if multiple catch all rules');
+    var provider;
+
+    // Load module and get provider
+    beforeEach(module('angularRateLimiter', function(AngularRateLimiterProvider) {
+        provider = AngularRateLimiterProvider;
+    }));
+
+
+    it('throws error on invalid configuration', function() {
+        inject(function() {
+            expect(function() {
+                provider.addRateLimiter({ name: 'api', match: 'api.com', bucketsize: 10 });
+            }).toThrowError('Rate limiter rule "api": Unknown option "bucketsize"');
+            expect(function() {
+                provider.addRateLimiter({ name: 'api', tokenInterval: 'fortnight' });
+            }).toThrowError('Rate limiter rule "api": Invalid tokenInterval value');
+            expect(function() {
+                provider.addRateLimiter({ match: 'api.com', maxRetries: -1 });
+            }).toThrowError('Rate limiter rule matching "api.com": Invalid maxRetries value');
+            expect(function() {
+                provider.addRateLimiter({ maxWait: '5s' });
+            }).toThrowError('Rate limiter rule: Invalid maxWait value');
+            expect(function() {
+                provider.addRateLimiter({ name: 'api', backoff: 'random' });
+            }).toThrowError('Rate limiter rule "api": Invalid backoff value "random", expected one of fixed, linear, exponential');
+            expect(function() {
+                provider.addRateLimiter({ name: 'api', rate: '100/fortnight' });
+            }).toThrowError('Rate limiter rule "api": Invalid rate "100/fortnight"');
+            expect(function() {
+                provider.addRateLimiter({ name: 'api', rate: '100/m', tokensPerInterval: 10 });
+            }).toThrowError('Rate limiter rule "api": Configure either rate or tokensPerInterval and tokenInterval');
+        });
+    });
+
+    it('ignores deprecated options with a warning', function() {
+        inject(function() {
+            var warn = sinon.stub(console, 'warn');
+            try {
+                provider.addRateLimiter({ name: 'api', match: 'api.com', requestDelay: 50, retryDelay: -1 });
+            }
+            finally {
+                warn.restore();
+            }
+            expect(warn.callCount).toBe(2);
+            expect(warn.firstCall.args[0]).toContain('"requestDelay" is deprecated');
+        });
+
+        inject(function(AngularRateLimiter) {
+            var rule = AngularRateLimiter.getRules()[0];
+            expect(rule.name).toBe('api');
+            expect(rule.requestDelay).toBeUndefined();
+            expect(rule.retryDelay).toBeUndefined();
+            expect(rule.retryInterval).toBe(-1);
+        });
+    });
 
     xit('configures interceptor only once');
 
-    xit('creates rules correctly');
-});
\ No newline at end of file
+
+    it('creates rules correctly', function() {
+        module(function() {
+            provider.addRateLimiter([
+                { name: 'minute', match: 'api.com', rate: '100/minute' },
+                { name: 'burst', rate: { limit: 10, per: '5s', burst: 30 } },
+                { name: 'sized', rate: '5/10s', bucketSize: 1 },
+                { name: 'interval', tokensPerInterval: 2, tokenInterval: '2 hours' }
+            ]);
+        });
+
+        inject(function(AngularRateLimiter) {
+            var rules = AngularRateLimiter.getRules();
+            expect(rules.length).toBe(4);
+            expect(rules[0].tokensPerInterval).toBe(100);
+            expect(rules[0].tokenInterval).toBe(60000);
+            expect(rules[0].bucketSize).toBe(100);
+            expect(rules[0].rate).toBeUndefined();
+            expect(rules[0].maxRetries).toBe(3);
+            expect(rules[1].tokensPerInterval).toBe(10);
+            expect(rules[1].tokenInterval).toBe(5000);
+            expect(rules[1].bucketSize).toBe(30);
+            expect(rules[2].tokenInterval).toBe(10000);
+            expect(rules[2].bucketSize).toBe(1);
+            expect(rules[3].tokenInterval).toBe(2 * 60 * 60 * 1000);
+
+            // Returned rules are copies, and rules do not share defaults
+            rules[0].bucketSize = 1;
+            rules[0].retryStatuses.push(503);
+            expect(AngularRateLimiter.getRules()[0].bucketSize).toBe(100);
+            expect(AngularRateLimiter.getRules()[0].retryStatuses).toEqual([429]);
+            expect(rules[1].retryStatuses).not.toBe(rules[2].retryStatuses);
+            AngularRateLimiter.rules[1].retryIdempotentStatuses.push(500);
+            expect(AngularRateLimiter.rules[2].retryIdempotentStatuses).toEqual([]);
+
+            AngularRateLimiter.updateRule('minute', { rate: '10/s' });
+            expect(AngularRateLimiter.getRules()[0].tokenInterval).toBe(1000);
+            expect(AngularRateLimiter.getRules()[0].bucketSize).toBe(10);
+            expect(AngularRateLimiter.getRules()[0].match).toBe('api.com');
+        });
+    });
+});
@@ -0,0 +1,1255 @@
+describe('AngularRateLimiter', function() {
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Enable limiters without rules
+    beforeEach(module(function(AngularRateLimiterProvider) {
+        AngularRateLimiterProvider.enableLimiters();
+    }));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+    var apiRule = {
+        name: 'api',
+        match: 'api.mydomain.com',
+        bucketSize: 1,
+        tokensPerInterval: 1,
+        tokenInterval: 1000
+    };
+
+
+    describe('rule management', function() {
+        it('adds rule at runtime', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+                expect(AngularRateLimiter.rules.length).toBe(1);
+
+                // Second request waits for token
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('throws error on duplicate or unknown rule name', function() {
+            inject(function(AngularRateLimiter) {
+                AngularRateLimiter.addRule(apiRule);
+
+                expect(function() {
+                    AngularRateLimiter.addRule(apiRule);
+                }).toThrowError('Rate limiter rule "api" already exists');
+                expect(function() {
+                    AngularRateLimiter.updateRule('search', { bucketSize: 10 });
+                }).toThrowError('No rate limiter rule named "search"');
+                expect(function() {
+                    AngularRateLimiter.removeRule('search');
+                }).toThrowError('No rate limiter rule named "search"');
+                expect(function() {
+                    AngularRateLimiter.pause('search');
+                }).toThrowError('No rate limiter rule named "search"');
+            });
+        });
+
+
+        it('re-evaluates queued requests when rule is updated', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+
+                // Faster rate releases the queued request sooner
+                AngularRateLimiter.updateRule('api', { tokensPerInterval: 10 });
+                expect(AngularRateLimiter.rules[0].tokensPerInterval).toBe(10);
+                expect(AngularRateLimiter.rules[0].bucketSize).toBe(1);
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('does not retry when deprecated retryDelay is negative', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var sent = 0;
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(function() {
+                    sent++;
+                    return [429];
+                });
+                var warn = sinon.stub(console, 'warn');
+                try {
+                    AngularRateLimiter.addRule(angular.extend({}, apiRule, { retryDelay: -1 }));
+                }
+                finally {
+                    warn.restore();
+                }
+
+                $http.get('https://api.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(1);
+                this.fakeTimer.tick(5000);
+                $timeout.flush(5000);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(sent).toBe(1);
+            });
+        });
+
+
+        it('releases queued requests when rule is removed', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+
+                AngularRateLimiter.removeRule('api');
+                expect(AngularRateLimiter.rules.length).toBe(0);
+                $httpBackend.flush(1);
+            });
+        });
+    });
+
+
+    describe('traffic control', function() {
+        it('holds matching requests while paused', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                $httpBackend.whenGET('https://example.com').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                AngularRateLimiter.pause();
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                $httpBackend.verifyNoOutstandingRequest();
+
+                // Requests not matching any rule are not held
+                $http.get('https://example.com');
+                $httpBackend.flush(1);
+
+                AngularRateLimiter.resume();
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('pauses and resumes single rule', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                AngularRateLimiter.pause('api');
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                $httpBackend.verifyNoOutstandingRequest();
+
+                AngularRateLimiter.resume('api');
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('fills buckets on reset', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+
+                AngularRateLimiter.reset('api');
+                $httpBackend.flush(1);
+            });
+        });
+    });
+
+
+    describe('concurrency', function() {
+        var reportRule = {
+            name: 'reports',
+            match: 'reports.mydomain.com',
+            bucketSize: 10,
+            tokensPerInterval: 10,
+            tokenInterval: 1000,
+            maxConcurrent: 2
+        };
+
+
+        it('limits requests in flight', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://reports.mydomain.com/report').respond(200);
+                AngularRateLimiter.addRule(reportRule);
+
+                for(var i = 0; i < 4; i++) {
+                    $http.get('https://reports.mydomain.com/report');
+                }
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('reports').inFlight).toBe(2);
+                expect(AngularRateLimiter.getStats('reports').queueLength).toBe(2);
+
+                // Responses free slots for the queued requests
+                $httpBackend.flush(2);
+                expect(AngularRateLimiter.getStats('reports').queueLength).toBe(0);
+                $httpBackend.flush(2);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(AngularRateLimiter.getStats('reports').inFlight).toBe(0);
+            });
+        });
+
+
+        it('frees slot of failed and cancelled requests', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $q, $rootScope) {
+                var canceler = $q.defer();
+                $httpBackend.whenGET('https://reports.mydomain.com/report').respond(500);
+                $httpBackend.whenGET('https://reports.mydomain.com/slow').respond(200);
+                AngularRateLimiter.addRule(reportRule);
+
+                $http.get('https://reports.mydomain.com/report').catch(angular.noop);
+                $http.get('https://reports.mydomain.com/slow', { timeout: canceler.promise }).catch(angular.noop);
+                $http.get('https://reports.mydomain.com/report').catch(angular.noop);
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('reports').queueLength).toBe(1);
+
+                canceler.resolve();
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('reports').queueLength).toBe(0);
+                $httpBackend.flush();
+                expect(AngularRateLimiter.getStats('reports').inFlight).toBe(0);
+            });
+        });
+    });
+
+
+    describe('keyed buckets', function() {
+        var projectRule = {
+            name: 'projects',
+            match: 'api.mydomain.com',
+            key: '/api/projects/:id',
+            bucketSize: 1,
+            tokensPerInterval: 1,
+            tokenInterval: 1000
+        };
+
+
+        it('limits each key of path template separately', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                $httpBackend.whenGET(/https:\/\/api\.mydomain\.com\/api\/projects\/.*/).respond(200);
+                AngularRateLimiter.addRule(projectRule);
+
+                $http.get('https://api.mydomain.com/api/projects/1/tasks');
+                $http.get('https://api.mydomain.com/api/projects/2/tasks');
+                $http.get('https://api.mydomain.com/api/projects/1/files');
+                $httpBackend.flush(2);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(AngularRateLimiter.getStats('projects').keys).toBe(2);
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('shares bucket of the key between paths matching wildcard', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET(/https:\/\/api\.mydomain\.com\/api\/projects\/.*/).respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, projectRule, { key: '/api/projects/:id/*' }));
+
+                $http.get('https://api.mydomain.com/api/projects/1/tasks');
+                $http.get('https://api.mydomain.com/api/projects/1/files');
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('projects').keys).toBe(1);
+                expect(AngularRateLimiter.getStats('projects').queueLength).toBe(1);
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('gets key from function', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, projectRule, {
+                    key: function(request) {
+                        return request.headers['X-Tenant'];
+                    }
+                }));
+
+                $http.get('https://api.mydomain.com/rest', { headers: { 'X-Tenant': 'a' } });
+                $http.get('https://api.mydomain.com/rest', { headers: { 'X-Tenant': 'b' } });
+                $http.get('https://api.mydomain.com/rest', { headers: { 'X-Tenant': 'a' } });
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('projects').queueLength).toBe(1);
+                $httpBackend.flush(2);
+            });
+        });
+
+
+        it('drops least recently used and idle buckets', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET(/https:\/\/api\.mydomain\.com\/api\/projects\/.*/).respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, projectRule, { maxKeys: 2 }));
+
+                for(var i = 1; i <= 3; i++) {
+                    $http.get('https://api.mydomain.com/api/projects/' + i);
+                }
+                $httpBackend.flush(3);
+                expect(AngularRateLimiter.getStats('projects').keys).toBe(2);
+
+                // Full buckets are dropped
+                this.fakeTimer.tick(10000);
+                $http.get('https://api.mydomain.com/api/projects/4');
+                $httpBackend.flush(1);
+                expect(AngularRateLimiter.getStats('projects').keys).toBe(1);
+            });
+        });
+
+
+        it('removes persisted state of dropped buckets', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var items = {};
+                var storage = {
+                    get: function(key) {
+                        return items[key];
+                    },
+                    set: function(key, value) {
+                        items[key] = value;
+                    },
+                    remove: function(key) {
+                        delete items[key];
+                    }
+                };
+                $httpBackend.whenGET(/https:\/\/api\.mydomain\.com\/api\/projects\/.*/).respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, projectRule, { maxKeys: 2, persist: storage }));
+
+                for(var i = 1; i <= 3; i++) {
+                    $http.get('https://api.mydomain.com/api/projects/' + i);
+                }
+                $httpBackend.flush(3);
+                expect(Object.keys(items).sort()).toEqual([
+                    'angularRateLimiter:bucket:projects:2',
+                    'angularRateLimiter:bucket:projects:3'
+                ]);
+
+                this.fakeTimer.tick(10000);
+                $http.get('https://api.mydomain.com/api/projects/4');
+                $httpBackend.flush(1);
+                expect(Object.keys(items)).toEqual(['angularRateLimiter:bucket:projects:4']);
+            });
+        });
+    });
+
+
+    describe('request options', function() {
+        it('bypasses all or named rules', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                $httpBackend.whenGET('https://api.mydomain.com/health').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+                AngularRateLimiter.addRule({ name: 'global', bucketSize: 1 });
+
+                $http.get('https://api.mydomain.com/health');
+                $http.get('https://api.mydomain.com/health', { rateLimit: { bypass: true } });
+                $http.get('https://api.mydomain.com/health', { rateLimit: { bypass: ['api', 'global'] } });
+                $httpBackend.flush(3);
+                expect(AngularRateLimiter.getStats('api').tokensAvailable).toBe(0);
+                expect(AngularRateLimiter.getStats('global').tokensAvailable).toBe(0);
+
+                $http.get('https://api.mydomain.com/health', { rateLimit: { bypass: 'api' } });
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+                expect(AngularRateLimiter.getStats('global').queueLength).toBe(1);
+            });
+        });
+
+
+        it('uses named rule instead of matching rules', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                var error;
+                $httpBackend.whenGET('https://cdn.mydomain.com/file').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://cdn.mydomain.com/file', { rateLimit: { rule: 'api' } });
+                $http.get('https://cdn.mydomain.com/file', { rateLimit: { rule: 'api' } });
+                $http.get('https://cdn.mydomain.com/file', { rateLimit: { rule: 'search' } }).catch(function(e) {
+                    error = e;
+                });
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(1);
+                expect(error.message).toBe('No rate limiter rule named "search"');
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('serves high priority requests first', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope, $timeout) {
+                var sent = [];
+                $httpBackend.whenGET(/https:\/\/api\.mydomain\.com\/.*/).respond(function(method, url) {
+                    sent.push(url.split('/').pop());
+                    return [200];
+                });
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://api.mydomain.com/sync1');
+                $http.get('https://api.mydomain.com/sync2');
+                $http.get('https://api.mydomain.com/sync3');
+                $rootScope.$digest();
+                $http.get('https://api.mydomain.com/logout', { rateLimit: { priority: 10 } });
+                $rootScope.$digest();
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(3);
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush();
+                expect(sent).toEqual(['sync1', 'logout']);
+            });
+        });
+
+
+        it('limits wait time of the request', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                var error;
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest', { rateLimit: { maxWait: 500 } }).catch(function(e) {
+                    error = e;
+                });
+                $rootScope.$digest();
+                expect(error.reason).toBe('maxWait');
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+                $httpBackend.flush(1);
+            });
+        });
+    });
+
+
+    describe('wrapped calls', function() {
+        it('shares bucket and queue with requests', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope, $timeout) {
+                AngularRateLimiter.addRule(apiRule);
+                var sent = [];
+                var send = AngularRateLimiter.wrap(function(message) {
+                    sent.push(message);
+                    return message.length;
+                }, 'api');
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+
+                var length;
+                send('hello').then(function(result) {
+                    length = result;
+                });
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                send('world');
+                $rootScope.$digest();
+                expect(sent).toEqual(['hello']);
+                expect(length).toBe(5);
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(2);
+
+                // Request is served before the later call
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush(1);
+                expect(sent).toEqual(['hello']);
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                expect(sent).toEqual(['hello', 'world']);
+                expect(AngularRateLimiter.getStats('api').totalDelayed).toBe(2);
+            });
+        });
+
+
+        it('holds slot until returned promise is settled', function() {
+            inject(function(AngularRateLimiter, $q, $rootScope) {
+                AngularRateLimiter.addRule({ name: 'sync', match: 'sync.mydomain.com', maxConcurrent: 1 });
+                var jobs = [];
+                var sync = AngularRateLimiter.wrap(function(id) {
+                    var deferred = $q.defer();
+                    jobs.push({ id: id, deferred: deferred });
+                    return deferred.promise;
+                }, { rule: ['sync'], cost: 0 });
+
+                sync(1).catch(angular.noop);
+                sync(2);
+                $rootScope.$digest();
+                expect(jobs.length).toBe(1);
+
+                jobs[0].deferred.reject('failed');
+                $rootScope.$digest();
+                expect(jobs.length).toBe(2);
+                expect(jobs[1].id).toBe(2);
+            });
+        });
+
+
+        it('cancels waiting call on timeout', function() {
+            inject(function(AngularRateLimiter, $timeout) {
+                AngularRateLimiter.addRule(apiRule);
+                var rejection;
+                var send = AngularRateLimiter.wrap(angular.noop, { rule: 'api', timeout: 500 });
+
+                send();
+                send().catch(function(response) {
+                    rejection = response;
+                });
+                this.fakeTimer.tick(500);
+                $timeout.flush(500);
+                expect(rejection.xhrStatus).toBe('timeout');
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+            });
+        });
+
+
+        it('throws error on unknown or missing rule', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.wrap(angular.noop, 'socket');
+                }).toThrowError('No rate limiter rule named "socket"');
+
+                // Unnamed rule is not used for a call without rule name
+                AngularRateLimiter.addRule({ match: 'api.mydomain.com' });
+                expect(function() {
+                    AngularRateLimiter.wrap(angular.noop);
+                }).toThrowError('No rate limiter rule given');
+                expect(function() {
+                    AngularRateLimiter.wrap(angular.noop, {});
+                }).toThrowError('No rate limiter rule given');
+                expect(function() {
+                    AngularRateLimiter.wrap(angular.noop, { rule: [] });
+                }).toThrowError('No rate limiter rule given');
+            });
+        });
+    });
+
+
+    describe('deduplication', function() {
+        var dashboardRule = {
+            name: 'dashboard',
+            match: 'api.mydomain.com',
+            bucketSize: 1,
+            tokensPerInterval: 1,
+            tokenInterval: 1000,
+            retryInterval: -1,
+            dedupe: true
+        };
+
+
+        it('merges identical waiting and in flight requests', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var responses = [];
+                function collect(response) {
+                    responses.push(response);
+                }
+                $httpBackend.whenGET('https://api.mydomain.com/rest?page=1').respond(200, 'first');
+                $httpBackend.whenGET('https://api.mydomain.com/rest?page=2').respond(200, 'second');
+                AngularRateLimiter.addRule(dashboardRule);
+
+                $http.get('https://api.mydomain.com/rest', { params: { page: 1 } }).then(collect);
+                $http.get('https://api.mydomain.com/rest', { params: { page: 2 } }).then(collect);
+                $http.get('https://api.mydomain.com/rest', { params: { page: 2 } }).then(collect);
+                $http.get('https://api.mydomain.com/rest', { params: { page: 1 } }).then(collect);
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(responses.length).toBe(2);
+                expect(responses[1]).not.toBe(responses[0]);
+                expect(responses[1].data).toBe('first');
+                expect(AngularRateLimiter.getStats('dashboard').queueLength).toBe(1);
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(responses.length).toBe(4);
+                expect(responses[2].data).toBe('second');
+                expect(responses[3].data).toBe('second');
+            });
+        });
+
+
+        it('passes merged response to later interceptors as a response', function() {
+            var errors = [];
+            module(function($httpProvider) {
+                $httpProvider.interceptors.push(function($q) {
+                    return {
+                        responseError: function(rejection) {
+                            errors.push(rejection);
+                            return $q.reject(rejection);
+                        }
+                    };
+                });
+            });
+
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var responses = [];
+                function collect(response) {
+                    responses.push(response);
+                }
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200, { name: 'first' });
+                AngularRateLimiter.addRule(dashboardRule);
+
+                $http.get('https://api.mydomain.com/rest').then(collect);
+                $http.get('https://api.mydomain.com/rest').then(collect);
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(errors.length).toBe(0);
+                expect(responses.length).toBe(2);
+                expect(responses[1].data).toEqual({ name: 'first' });
+                expect(AngularRateLimiter.getStats('dashboard').queueLength).toBe(0);
+            });
+        });
+
+
+        it('shares failure of merged request', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var statuses = [];
+                function collect(response) {
+                    statuses.push(response.status);
+                }
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(500);
+                AngularRateLimiter.addRule(angular.extend({}, dashboardRule, { bucketSize: 5 }));
+
+                $http.get('https://api.mydomain.com/rest').catch(collect);
+                $http.get('https://api.mydomain.com/rest').catch(collect);
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(statuses).toEqual([500, 500]);
+            });
+        });
+
+
+        it('never merges requests with body, cache or other method than GET', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenPOST('https://api.mydomain.com/rest').respond(200);
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                $httpBackend.whenHEAD('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, dashboardRule, {
+                    bucketSize: 10,
+                    dedupe: function(request) {
+                        return request.url;
+                    }
+                }));
+
+                $http.post('https://api.mydomain.com/rest', { name: 'a' });
+                $http.post('https://api.mydomain.com/rest', { name: 'a' });
+                $http({ method: 'GET', url: 'https://api.mydomain.com/rest', data: 'query' });
+                $http({ method: 'GET', url: 'https://api.mydomain.com/rest', data: 'query' });
+                $http.head('https://api.mydomain.com/rest');
+                $http.head('https://api.mydomain.com/rest');
+                $httpBackend.flush(6);
+
+                // $http merges cached requests itself
+                $http.get('https://api.mydomain.com/rest', { cache: true });
+                $http.get('https://api.mydomain.com/rest', { cache: true });
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+            });
+        });
+
+
+        it('validates dedupe option', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, dashboardRule, { dedupe: 'url' }));
+                }).toThrowError('Rate limiter rule "dashboard": Invalid dedupe value');
+            });
+        });
+    });
+
+
+    describe('adaptive rate', function() {
+        var searchRule = {
+            name: 'search',
+            match: 'search.mydomain.com',
+            bucketSize: 10,
+            tokensPerInterval: 8,
+            tokenInterval: 1000,
+            retryInterval: -1,
+            adaptive: true,
+            maxTokensPerInterval: 10,
+            rateIncreaseAfter: 2
+        };
+
+
+        it('decreases rate on overload and increases it after successes', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var status = 503;
+                var events = [];
+                $httpBackend.whenGET('https://search.mydomain.com/rest').respond(function() {
+                    return [status];
+                });
+                AngularRateLimiter.addRule(searchRule);
+                AngularRateLimiter.on('rateChanged', function(event) {
+                    events.push(event);
+                });
+
+                $http.get('https://search.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(1);
+                expect(AngularRateLimiter.getRate('search')).toBe(4);
+                expect(events[0].tokensPerInterval).toBe(4);
+
+                // Rate does not go below a tenth of the configured rate
+                for(var i = 0; i < 3; i++) {
+                    $http.get('https://search.mydomain.com/rest').catch(angular.noop);
+                }
+                $httpBackend.flush(3);
+                expect(AngularRateLimiter.getRate('search')).toBe(0.8);
+
+                status = 200;
+                for(i = 0; i < 3; i++) {
+                    $http.get('https://search.mydomain.com/rest');
+                }
+                $httpBackend.flush(3);
+                expect(AngularRateLimiter.getRate('search')).toBe(1.8);
+            });
+        });
+
+
+        it('keeps rate within maximum', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET('https://search.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(searchRule);
+
+                for(var i = 0; i < 8; i++) {
+                    $http.get('https://search.mydomain.com/rest');
+                }
+                $httpBackend.flush(8);
+                expect(AngularRateLimiter.getRate('search')).toBe(10);
+            });
+        });
+
+
+        it('syncs bucket to remaining tokens of the server', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET('https://search.mydomain.com/rest').respond(200, '', { 'X-RateLimit-Remaining': '3' });
+                AngularRateLimiter.addRule(angular.extend({}, searchRule, { adaptive: false, syncRemaining: true }));
+
+                $http.get('https://search.mydomain.com/rest');
+                $httpBackend.flush(1);
+                expect(AngularRateLimiter.getStats('search').tokensAvailable).toBe(3);
+                expect(AngularRateLimiter.getRate('search')).toBe(8);
+            });
+        });
+
+
+        it('validates adaptive options', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, searchRule, { rateDecrease: 2 }));
+                }).toThrowError('Rate limiter rule "search": Invalid rateDecrease value');
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, searchRule, { minTokensPerInterval: 20 }));
+                }).toThrowError('Rate limiter rule "search": Invalid maxTokensPerInterval value');
+            });
+        });
+    });
+
+
+    describe('quotas', function() {
+        var partnerRule = {
+            name: 'partner',
+            match: 'partner.mydomain.com',
+            rate: '10/s',
+            quotas: ['3/day']
+        };
+
+
+        it('rejects requests at once when quota is exhausted', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var events = [];
+                var error;
+                $httpBackend.whenGET('https://partner.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(partnerRule);
+                AngularRateLimiter.on('quotaExhausted', function(event) {
+                    events.push(event);
+                });
+
+                for(var i = 0; i < 4; i++) {
+                    $http.get('https://partner.mydomain.com/rest').catch(function(rejection) {
+                        error = rejection;
+                    });
+                }
+                $httpBackend.flush(3);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(error.rateLimitExceeded).toBe(true);
+                expect(error.reason).toBe('quota');
+                expect(error.quota).toBe('3/day');
+                expect(error.resetTime).toBe(24 * 60 * 60 * 1000);
+                expect(events.length).toBe(1);
+                expect(events[0].resetTime).toBe(24 * 60 * 60 * 1000);
+                expect(AngularRateLimiter.getStats('partner').quotas).toEqual([
+                    { name: '3/day', remaining: 0, resetTime: 24 * 60 * 60 * 1000 }
+                ]);
+
+                // Quota resets when the day ends
+                this.fakeTimer.tick(24 * 60 * 60 * 1000);
+                $http.get('https://partner.mydomain.com/rest');
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('emits quotaExhausted when request costs more than quota has left', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var events = [];
+                var error;
+                $httpBackend.whenGET('https://partner.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(partnerRule);
+                AngularRateLimiter.on('quotaExhausted', function(event) {
+                    events.push(event);
+                });
+
+                $http.get('https://partner.mydomain.com/rest', { rateLimit: { cost: 2 } });
+                $http.get('https://partner.mydomain.com/rest', { rateLimit: { cost: 2 } }).catch(function(rejection) {
+                    error = rejection;
+                });
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(error.reason).toBe('quota');
+                expect(AngularRateLimiter.getStats('partner').quotas[0].remaining).toBe(1);
+                expect(events.length).toBe(1);
+                expect(events[0].quota).toBe('3/day');
+                expect(events[0].resetTime).toBe(24 * 60 * 60 * 1000);
+            });
+        });
+
+
+        it('drops queued requests when quota runs out', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var errors = [];
+                $httpBackend.whenGET('https://partner.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, partnerRule, { rate: '1/s', quotas: ['2/day'] }));
+
+                for(var i = 0; i < 3; i++) {
+                    $http.get('https://partner.mydomain.com/rest').catch(function(rejection) {
+                        errors.push(rejection);
+                    });
+                }
+                $httpBackend.flush(1);
+                expect(AngularRateLimiter.getStats('partner').queueLength).toBe(2);
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                $httpBackend.flush(1);
+                expect(errors.length).toBe(1);
+                expect(errors[0].reason).toBe('quota');
+                expect(AngularRateLimiter.getStats('partner').queueLength).toBe(0);
+            });
+        });
+
+
+        it('restores persisted quota', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                var saved = {};
+                var storage = {
+                    get: function(key) {
+                        return saved[key];
+                    },
+                    set: function(key, value) {
+                        saved[key] = value;
+                    }
+                };
+                $httpBackend.whenGET('https://partner.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, partnerRule, {
+                    quotas: [{ name: 'daily', limit: 2, per: 'day', persist: storage }]
+                }));
+
+                $http.get('https://partner.mydomain.com/rest');
+                $http.get('https://partner.mydomain.com/rest');
+                $httpBackend.flush(2);
+                expect(saved['angularRateLimiter:quota:partner:daily']).toEqual({ used: 2, windowStart: 0 });
+
+                // Re-created quota continues from the saved count
+                AngularRateLimiter.removeRule('partner');
+                AngularRateLimiter.addRule(angular.extend({}, partnerRule, {
+                    quotas: [{ name: 'daily', limit: 3, per: 'day', persist: storage }]
+                }));
+                expect(AngularRateLimiter.getStats('partner').quotas[0].remaining).toBe(1);
+            });
+        });
+
+
+        it('validates quotas', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, partnerRule, { quotas: '3/day' }));
+                }).toThrowError('Rate limiter rule "partner": Invalid quotas value');
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, partnerRule, { quotas: ['3/fortnight'] }));
+                }).toThrowError('Rate limiter rule "partner": Invalid rate "3/fortnight"');
+                expect(function() {
+                    AngularRateLimiter.addRule({ match: 'partner.mydomain.com', quotas: [{ limit: 3, per: 'day', persist: 'localStorage' }] });
+                }).toThrowError('Rate limiter rule matching "partner.mydomain.com": No name configured for persisted quota');
+            });
+        });
+    });
+
+
+    describe('circuit breaker', function() {
+        var backendRule = {
+            name: 'backend',
+            match: 'backend.mydomain.com',
+            rate: '100/s',
+            circuitBreaker: { failures: 2, window: '10s', cooldown: '5s' }
+        };
+
+
+        it('opens after failures and closes after successful probe', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var status = 503;
+                var states = [];
+                var error;
+                $httpBackend.whenGET('https://backend.mydomain.com/rest').respond(function() {
+                    return [status];
+                });
+                AngularRateLimiter.addRule(backendRule);
+                AngularRateLimiter.on('circuitStateChanged', function(event) {
+                    states.push(event.state);
+                });
+
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(2);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('open');
+
+                // Open circuit rejects at once
+                $http.get('https://backend.mydomain.com/rest').catch(function(rejection) {
+                    error = rejection;
+                });
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(error.rateLimitExceeded).toBe(true);
+                expect(error.reason).toBe('circuitOpen');
+                expect(error.openUntil).toBe(5000);
+
+                // Half-open circuit lets one probe through
+                this.fakeTimer.tick(5000);
+                $timeout.flush(5000);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('half-open');
+                status = 200;
+                $http.get('https://backend.mydomain.com/rest');
+                $http.get('https://backend.mydomain.com/rest').catch(function(rejection) {
+                    error = rejection;
+                });
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+                expect(error.circuitState).toBe('half-open');
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('closed');
+                expect(states).toEqual(['open', 'half-open', 'closed']);
+            });
+        });
+
+
+        it('reopens when half-open probe times out', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout, $q, $rootScope) {
+                var timeout = $q.defer();
+                var error;
+                $httpBackend.whenGET('https://backend.mydomain.com/rest').respond(503);
+                AngularRateLimiter.addRule(backendRule);
+
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(2);
+                this.fakeTimer.tick(5000);
+                $timeout.flush(5000);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('half-open');
+
+                $http.get('https://backend.mydomain.com/rest', { timeout: timeout.promise }).catch(function(rejection) {
+                    error = rejection;
+                });
+                $rootScope.$digest();
+                timeout.resolve();
+                $rootScope.$digest();
+                expect(error.status).toBe(-1);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('open');
+            });
+        });
+
+
+        it('stops retrying when circuit opens and reopens on failed probe', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var sent = 0;
+                var retries = 0;
+                $httpBackend.whenGET('https://backend.mydomain.com/rest').respond(function() {
+                    sent++;
+                    return [429];
+                });
+                AngularRateLimiter.addRule(backendRule);
+                AngularRateLimiter.on('retried', function() {
+                    retries++;
+                });
+
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(1);
+                // Retry waits for the token after the retry interval
+                this.fakeTimer.tick(60);
+                $timeout.flush(60);
+                $httpBackend.flush(1);
+                expect(sent).toBe(2);
+                expect(retries).toBe(1);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('open');
+
+                this.fakeTimer.tick(5000);
+                $timeout.flush(5000);
+                $http.get('https://backend.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(1);
+                expect(sent).toBe(3);
+                expect(AngularRateLimiter.getCircuitState('backend')).toBe('open');
+            });
+        });
+
+
+        it('validates circuit breaker options', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, backendRule, { circuitBreaker: { threshold: 2 } }));
+                }).toThrowError('Rate limiter rule "backend": Unknown circuitBreaker option "threshold"');
+                expect(function() {
+                    AngularRateLimiter.addRule(angular.extend({}, backendRule, { circuitBreaker: { failures: 0 } }));
+                }).toThrowError('Rate limiter rule "backend": Invalid circuitBreaker.failures value');
+            });
+        });
+    });
+
+
+    describe('explain and observe-only mode', function() {
+        it('explains request without consuming tokens', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+
+                var explanation = AngularRateLimiter.explain({ url: 'https://api.mydomain.com/rest' });
+                expect(explanation.action).toBe('send');
+                expect(explanation.rules[0].name).toBe('api');
+                expect(explanation.rules[0].tokensAvailable).toBe(1);
+                expect(explanation.retry).toEqual({ rule: 'api', maxRetries: 3, statuses: [429] });
+                expect(AngularRateLimiter.explain({ url: 'https://api.mydomain.com/rest' }).action).toBe('send');
+
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+                explanation = AngularRateLimiter.explain({ url: 'https://api.mydomain.com/rest' });
+                expect(explanation.action).toBe('queue');
+                expect(explanation.waitTime).toBe(1000);
+                expect(explanation.rules[0].tokensAvailable).toBe(0);
+
+                AngularRateLimiter.updateRule('api', { maxWait: 500 });
+                explanation = AngularRateLimiter.explain({ url: 'https://api.mydomain.com/rest' });
+                expect(explanation.action).toBe('reject');
+                expect(explanation.reason).toBe('maxWait');
+
+                explanation = AngularRateLimiter.explain({ url: 'https://search.mydomain.com/rest' });
+                expect(explanation.action).toBe('send');
+                expect(explanation.rules).toEqual([]);
+                expect(explanation.retry).toBe(null);
+            });
+        });
+
+
+        it('logs instead of limiting in observe-only mode', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $log) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+                AngularRateLimiter.observeOnly = true;
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(2);
+                expect($log.info.logs).toEqual([
+                    ['Rate limiter would queue GET https://api.mydomain.com/rest for 1000ms (rules "api")']
+                ]);
+                expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+            });
+        });
+
+
+        describe('enabled in provider', function() {
+            beforeEach(module(function(AngularRateLimiterProvider) {
+                AngularRateLimiterProvider.enableObserveOnly();
+            }));
+
+
+            it('retries like without observe-only mode', function() {
+                inject(function(AngularRateLimiter, $http, $httpBackend, $timeout, $log) {
+                    var sent = 0;
+                    var status;
+                    $httpBackend.whenGET('https://api.mydomain.com/rest').respond(function() {
+                        sent++;
+                        return [sent === 1 ? 429 : 200];
+                    });
+                    AngularRateLimiter.addRule(apiRule);
+                    expect(AngularRateLimiter.observeOnly).toBe(true);
+
+                    $http.get('https://api.mydomain.com/rest').then(function(response) {
+                        status = response.status;
+                    });
+                    $httpBackend.flush(1);
+                    this.fakeTimer.tick(50);
+                    $timeout.flush(50);
+                    $httpBackend.flush(1);
+                    expect(sent).toBe(2);
+                    expect(status).toBe(200);
+                    expect(AngularRateLimiter.getStats('api').queueLength).toBe(0);
+                    expect($log.info.logs).toEqual([
+                        ['Rate limiter would queue GET https://api.mydomain.com/rest for 1000ms (rules "api")']
+                    ]);
+                });
+            });
+        });
+    });
+
+
+    describe('events and statistics', function() {
+        it('emits events when request is throttled and released', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var events = [];
+                function listener(event) {
+                    events.push(event);
+                }
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+                AngularRateLimiter.on('throttled', listener);
+                AngularRateLimiter.on('released', listener);
+                AngularRateLimiter.on('bucketEmpty', listener);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+                expect(events.length).toBe(2);
+                expect(events[0].type).toBe('bucketEmpty');
+                expect(events[0].rules).toEqual(['api']);
+                expect(events[1].type).toBe('throttled');
+
+                this.fakeTimer.tick(1000);
+                $timeout.flush(1000);
+                expect(events[2].type).toBe('bucketEmpty');
+                expect(events[3].type).toBe('released');
+                expect(events[3].waitTime).toBe(1000);
+                expect(events[3].request.url).toBe('https://api.mydomain.com/rest');
+            });
+        });
+
+
+        it('emits events when request is retried and dropped', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                var retried = [], dropped = [];
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(429);
+                AngularRateLimiter.addRule(angular.extend({}, apiRule, { bucketSize: 10, maxRetries: 1 }));
+                AngularRateLimiter.on('retried', function(event) {
+                    retried.push(event);
+                });
+                AngularRateLimiter.on('dropped', function(event) {
+                    dropped.push(event);
+                });
+
+                $http.get('https://api.mydomain.com/rest').catch(angular.noop);
+                $httpBackend.flush(1);
+                expect(retried.length).toBe(1);
+                expect(retried[0].attempt).toBe(1);
+                expect(retried[0].delay).toBe(50);
+
+                // Bucket is drained until the retry, then it waits for a token
+                this.fakeTimer.tick(1050);
+                $timeout.flush(1050);
+                $httpBackend.flush(1);
+                expect(dropped.length).toBe(1);
+                expect(dropped[0].reason).toBe('retries');
+                expect(AngularRateLimiter.getStats('api').tooManyRequests).toBe(2);
+            });
+        });
+
+
+        it('removes listener', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $rootScope) {
+                var events = [];
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(apiRule);
+                var off = AngularRateLimiter.on('throttled', function(event) {
+                    events.push(event);
+                });
+                off();
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                expect(events.length).toBe(0);
+            });
+        });
+
+
+        describe('with broadcast', function() {
+            beforeEach(module(function(AngularRateLimiterProvider) {
+                AngularRateLimiterProvider.enableEventBroadcast();
+            }));
+
+
+            it('broadcasts events from $rootScope', function() {
+                inject(function(AngularRateLimiter, $http, $httpBackend, $q, $rootScope) {
+                    var dropped;
+                    var canceler = $q.defer();
+                    $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                    AngularRateLimiter.addRule(apiRule);
+                    $rootScope.$on('angularRateLimiter:dropped', function(angularEvent, event) {
+                        dropped = event;
+                    });
+
+                    $http.get('https://api.mydomain.com/rest');
+                    $http.get('https://api.mydomain.com/rest', { timeout: canceler.promise }).catch(angular.noop);
+                    $rootScope.$digest();
+                    canceler.resolve();
+                    $rootScope.$digest();
+
+                    expect(dropped.reason).toBe('abort');
+                    expect(dropped.rules).toEqual(['api']);
+                });
+            });
+        });
+
+
+        it('returns statistics snapshot', function() {
+            inject(function(AngularRateLimiter, $http, $httpBackend, $timeout) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+                AngularRateLimiter.addRule(angular.extend({}, apiRule, { bucketSize: 2, tokensPerInterval: 2 }));
+
+                for(var i = 0; i < 5; i++) {
+                    $http.get('https://api.mydomain.com/rest');
+                }
+                $httpBackend.flush(2);
+
+                var stats = AngularRateLimiter.getStats('api');
+                expect(stats.queueLength).toBe(3);
+                expect(stats.tokensAvailable).toBe(0);
+                expect(stats.totalDelayed).toBe(3);
+
+                // Token is added every 500ms
+                for(i = 0; i < 3; i++) {
+                    this.fakeTimer.tick(500);
+                    $timeout.flush(500);
+                }
+                stats = AngularRateLimiter.getStats()[0];
+                expect(stats.name).toBe('api');
+                expect(stats.queueLength).toBe(0);
+                expect(stats.waitTimeP50).toBe(1000);
+                expect(stats.waitTimeP95).toBe(1500);
+            });
+        });
+    });
+});
@@ -0,0 +1,166 @@
+describe('SharedTokenBucket', function() {
+    var SharedTokenBucket;
+    var tabSync;
+
+    // In-memory storage and channel shared by all tabs
+    function createTabSync() {
+        var items = {};
+        var listeners = [];
+        return {
+            storage: {
+                get: function(key) {
+                    return items[key] === undefined ? undefined : angular.fromJson(items[key]);
+                },
+                set: function(key, value) {
+                    items[key] = angular.toJson(value);
+                },
+                remove: function(key) {
+                    delete items[key];
+                }
+            },
+            channel: {
+                postMessage: function(message) {
+                    angular.forEach(listeners, function(listener) {
+                        listener(message);
+                    });
+                },
+                onMessage: function(listener) {
+                    listeners.push(listener);
+                }
+            }
+        };
+    }
+
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Use in-memory tab sync
+    beforeEach(module(function($provide) {
+        tabSync = createTabSync();
+        $provide.value('AngularRateLimiterTabSync', tabSync);
+    }));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+
+    describe('bucket', function() {
+        // Get SharedTokenBucket service
+        beforeEach(inject(function(AngularRateLimiterSharedTokenBucket) {
+            SharedTokenBucket = AngularRateLimiterSharedTokenBucket;
+        }));
+
+
+        it('shares tokens between tabs', function() {
+            // 2 tokens with drip 1 token every 100ms in both tabs
+            var firstTab = new SharedTokenBucket('api', 2, 1, 100, tabSync);
+            var secondTab = new SharedTokenBucket('api', 2, 1, 100, tabSync);
+
+            expect(firstTab.tryRemoveTokens(1)).toBe(true);
+            expect(secondTab.tryRemoveTokens(1)).toBe(true);
+            expect(firstTab.tryRemoveTokens(1)).toBe(false);
+            expect(firstTab.getWaitTime(1)).toBe(100);
+
+            this.fakeTimer.tick(100);
+            expect(secondTab.tryRemoveTokens(1)).toBe(true);
+            expect(firstTab.tryRemoveTokens(1)).toBe(false);
+        });
+
+
+        it('does not remove tokens while another tab holds the lock', function() {
+            var bucket = new SharedTokenBucket('api', 2, 1, 100, tabSync);
+            tabSync.storage.set('angularRateLimiter:bucket:api:y', { owner: 'other', expires: +new Date() + 50 });
+
+            expect(bucket.tryRemoveTokens(1)).toBe(false);
+            expect(bucket.getWaitTime(1)).toBe(100);
+
+            // Lock of closed tab expires
+            this.fakeTimer.tick(100);
+            expect(bucket.tryRemoveTokens(1)).toBe(true);
+        });
+
+
+        it('ignores invalid shared state', function() {
+            tabSync.storage.set('angularRateLimiter:bucket:api', { content: 'many' });
+            var bucket = new SharedTokenBucket('api', 2, 1, 100, tabSync);
+
+            expect(bucket.tryRemoveTokens(2)).toBe(true);
+            expect(bucket.tryRemoveTokens(1)).toBe(false);
+        });
+    });
+
+
+    describe('with shared rule', function() {
+        var apiRule = {
+            name: 'api',
+            match: 'api.mydomain.com',
+            bucketSize: 1,
+            tokensPerInterval: 1,
+            tokenInterval: 1000,
+            shared: true
+        };
+
+        beforeEach(module(function(AngularRateLimiterProvider) {
+            AngularRateLimiterProvider.addRateLimiter(apiRule);
+            AngularRateLimiterProvider.enableLimiters();
+        }));
+
+
+        it('releases waiting request when another tab adds tokens', function() {
+            inject(function(AngularRateLimiterSharedTokenBucket, $http, $httpBackend, $rootScope) {
+                var otherTab = new AngularRateLimiterSharedTokenBucket('api', 1, 1, 1000, tabSync);
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+
+                expect(otherTab.tryRemoveTokens(1)).toBe(true);
+                $http.get('https://api.mydomain.com/rest');
+                $rootScope.$digest();
+                $httpBackend.verifyNoOutstandingRequest();
+
+                otherTab.fill();
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('requires rule name', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule({ match: 'mydomain.com', shared: true });
+                }).toThrowError('Rate limiter rule matching "mydomain.com": No name configured for shared rate limiter');
+            });
+        });
+    });
+
+
+    describe('without browser support', function() {
+        beforeEach(module(function($provide, AngularRateLimiterProvider) {
+            $provide.value('AngularRateLimiterTabSync', { storage: null, channel: null });
+            AngularRateLimiterProvider.addRateLimiter({
+                name: 'api',
+                match: 'api.mydomain.com',
+                bucketSize: 1,
+                shared: true
+            });
+            AngularRateLimiterProvider.enableLimiters();
+        }));
+
+
+        it('uses local bucket', function() {
+            inject(function($http, $httpBackend) {
+                $httpBackend.whenGET('https://api.mydomain.com/rest').respond(200);
+
+                $http.get('https://api.mydomain.com/rest');
+                $http.get('https://api.mydomain.com/rest');
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+            });
+        });
+    });
+});
@@ -0,0 +1,157 @@
+describe('Limiting strategies', function() {
+    // Load module
+    beforeEach(module('angularRateLimiter'));
+
+    // Init sinon timers
+    beforeEach(function() {
+        this.fakeTimer = new sinon.useFakeTimers();
+    });
+
+    // Restore normal timers
+    afterEach(function() {
+        this.fakeTimer.restore();
+    });
+
+
+    it('limits tokens in rolling window with sliding window log', function() {
+        inject(function(AngularRateLimiterSlidingWindowLog) {
+            // 2 tokens per 1000ms window
+            var limiter = new AngularRateLimiterSlidingWindowLog(2, 2, 1000);
+
+            expect(limiter.tryRemoveTokens(1)).toBe(true);
+            this.fakeTimer.tick(500);
+            expect(limiter.tryRemoveTokens(1)).toBe(true);
+
+            // Token bucket would have dripped a token already
+            this.fakeTimer.tick(100);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+            expect(limiter.getWaitTime(1)).toBe(400);
+
+            // First token leaves the window
+            this.fakeTimer.tick(400);
+            expect(limiter.tryRemoveTokens(1)).toBe(true);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+        });
+    });
+
+
+    it('weights previous window with sliding window counter', function() {
+        inject(function(AngularRateLimiterSlidingWindowCounter) {
+            // 10 tokens per 1000ms window
+            var limiter = new AngularRateLimiterSlidingWindowCounter(10, 10, 1000);
+            expect(limiter.tryRemoveTokens(10)).toBe(true);
+
+            // Previous window is fully inside the rolling window
+            this.fakeTimer.tick(1000);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+            expect(limiter.getWaitTime(1)).toBe(100);
+
+            // 90% of previous window is left
+            this.fakeTimer.tick(100);
+            expect(limiter.tryRemoveTokens(1)).toBe(true);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+        });
+    });
+
+
+    it('resets count on each fixed window', function() {
+        inject(function(AngularRateLimiterFixedWindow) {
+            // 2 tokens per 1000ms window
+            var limiter = new AngularRateLimiterFixedWindow(2, 2, 1000);
+            expect(limiter.tryRemoveTokens(2)).toBe(true);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+            expect(limiter.getWaitTime(1)).toBe(1000);
+
+            this.fakeTimer.tick(999);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+            this.fakeTimer.tick(1);
+            expect(limiter.tryRemoveTokens(2)).toBe(true);
+        });
+    });
+
+
+    it('spaces removals evenly with leaky bucket', function() {
+        inject(function(AngularRateLimiterLeakyBucket) {
+            // 1 token every 100ms without bursts
+            var limiter = new AngularRateLimiterLeakyBucket(5, 1, 100);
+            expect(limiter.tryRemoveTokens(1)).toBe(true);
+            expect(limiter.tryRemoveTokens(1)).toBe(false);
+            expect(limiter.getWaitTime(1)).toBe(100);
+
+            this.fakeTimer.tick(100);
+            expect(limiter.tryRemoveTokens(2)).toBe(true);
+            expect(limiter.getWaitTime(1)).toBe(200);
+            expect(limiter.getWaitTime(6)).toBe(Infinity);
+        });
+    });
+
+
+    describe('with rules', function() {
+        var created;
+
+        beforeEach(module(function($provide, AngularRateLimiterProvider) {
+            created = [];
+
+            // Custom strategy service
+            $provide.factory('countingStrategy', function(AngularRateLimiterTokenBucket) {
+                function CountingStrategy(bucketSize, tokensPerInterval, interval) {
+                    AngularRateLimiterTokenBucket.call(this, bucketSize, tokensPerInterval, interval);
+                    created.push(this);
+                }
+                CountingStrategy.prototype = Object.create(AngularRateLimiterTokenBucket.prototype);
+                return CountingStrategy;
+            });
+
+            AngularRateLimiterProvider.addRateLimiter([{
+                name: 'leaky',
+                match: 'leaky.mydomain.com',
+                bucketSize: 5,
+                tokensPerInterval: 1,
+                tokenInterval: 100,
+                strategy: 'leaky-bucket'
+            }, {
+                name: 'custom',
+                match: 'custom.mydomain.com',
+                strategy: 'countingStrategy'
+            }]);
+            AngularRateLimiterProvider.enableLimiters();
+        }));
+
+
+        it('uses strategy of the rule', function() {
+            inject(function($http, $httpBackend, $timeout) {
+                $httpBackend.whenGET('https://leaky.mydomain.com/rest').respond(200);
+
+                $http.get('https://leaky.mydomain.com/rest');
+                $http.get('https://leaky.mydomain.com/rest');
+                $httpBackend.flush(1);
+                $httpBackend.verifyNoOutstandingRequest();
+
+                this.fakeTimer.tick(100);
+                $timeout.flush(100);
+                $httpBackend.flush(1);
+            });
+        });
+
+
+        it('gets custom strategy from service', function() {
+            inject(function($http, $httpBackend) {
+                $httpBackend.whenGET('https://custom.mydomain.com/rest').respond(200);
+
+                $http.get('https://custom.mydomain.com/rest');
+                $httpBackend.flush(1);
+                expect(created.length).toBe(1);
+            });
+        });
+
+
+        it('throws error on unknown strategy', function() {
+            inject(function(AngularRateLimiter) {
+                expect(function() {
+                    AngularRateLimiter.addRule({ name: 'search', match: 'search.com', strategy: 'quantum' });
+                }).toThrowError('Rate limiter rule "search": Unknown rate limiter strategy "quantum"');
+                expect(AngularRateLimiter.rules.length).toBe(2);
+            });
+        });
+    });
+});